@@ -6,44 +6,345 @@
  * 
  * Features:
  * - Password protected admin access
+ * - User accounts with viewer, editor and admin roles
+ * - Per-page visibility: public, internal (logged-in users) or private
+ *   (listed users only)
  * - Create, read, update, and delete pages
+ * - Deleted pages go to a trash bin, with their attachments, where they can
+ *   be restored or purged; the cron handler purges them after
+ *   TRASH_RETENTION_DAYS. Emptying the trash and the cron handler purge in
+ *   batches that stay within the storage operations a request may make
  * - File upload support (including images)
+ * - Multiple attachments per page, chunked so they can exceed the KV value
+ *   size limit, referenced from content as attachment:{name}
  * - Basic HTML and plain text content support
+ * - Per-page rendering mode for HTML pages: isolated (served as-is under a
+ *   CSP sandbox) or sanitized (allowlisted markup inside the wiki layout);
+ *   admins see each HTML page's mode in the page list
+ * - Markdown rendering for text pages, with [[Page Name]] wiki links
+ * - Automatic "Pages that link here" backlinks
+ * - Macros in text pages: {{include:Page}} (nested up to INCLUDE_MAX_DEPTH,
+ *   with cycles caught), {{toc}}, {{pages prefix=...}} and {{updated}}
+ * - Ranked full-text search with highlighted snippets
  * - Simple and clean UI
  * - Page listing and management
- * - Page renaming capability
+ * - Page titles, tags, creation and update times and last editor; the page
+ *   list can be sorted by last modified, filtered by tag or narrowed to
+ *   recently changed pages
+ * - Page renaming capability; the old name keeps a permanent redirect, and
+ *   [[links]] elsewhere can optionally be rewritten to the new name
+ * - Revision history with line diffs and rollback
+ * - Saving an edit made against an older version merges it line by line
+ *   with the changes made since; overlapping edits get a side-by-side
+ *   conflict screen instead of overwriting anyone
+ * - Nested pages (e.g. projects/infra/runbook) with breadcrumbs and a tree view
+ * - Whole-wiki export and import as a tar archive; big wikis are exported
+ *   in parts and imported in batches, each within one request's storage
+ *   operations
+ * - JSON REST API for pages with ETag-based optimistic concurrency
+ * - Atom feed of recently changed pages, sitemap.xml and robots.txt
+ * - Drafts visible only to editors, with previews and publishing either
+ *   right away or at a scheduled time
+ * - Append-only audit log of logins, creates, edits, deletes, renames and
+ *   uploads, with the IP address and user agent behind each
+ * - Expiring share links that let people without an account read one page
+ *   (and optionally its attachments), with an optional view limit
+ * - Comment threads under each page for logged-in users, with replies,
+ *   editing of one's own comments and resolving; admins can edit and delete
+ *   any comment
  * 
  * Security:
- * - Admin authentication via password
- * - Cookie-based session management
- * - HttpOnly cookies for security
+ * - Admin authentication via password; ADMIN_PASSWORD logs in as the
+ *   built-in "admin" account, which keeps working as a recovery login and
+ *   whose name accounts can't take
+ * - Account passwords are stored as salted PBKDF2-SHA256 hashes
+ * - HMAC-signed, expiring session cookies (HttpOnly, Secure, SameSite=Lax)
+ * - Sessions are revoked server-side on logout
+ * - CSRF tokens on every form; pages can only be changed with POST
+ * - User-authored HTML never runs on the wiki's origin: isolated pages get
+ *   an opaque origin from "Content-Security-Policy: sandbox", and sanitized
+ *   pages are served with scripts disabled
+ * - API requests authenticate with per-user bearer tokens, stored only as
+ *   SHA-256 hashes and revocable from /tokens
+ * - Logins are rate-limited per IP: LOGIN_MAX_FAILURES failures, each within
+ *   LOGIN_WINDOW of the last, lock the IP out for LOGIN_LOCKOUT seconds
  * 
  * Technical Stack:
- * - Runs on Cloudflare Workers
- * - Uses Cloudflare KV for storage
+ * - Runs on Cloudflare Workers as a module worker (export default { fetch, scheduled })
+ * - Stores everything in Cloudflare KV by default; D1 and an in-memory store
+ *   can stand in for it, so the wiki also runs and can be tested offline
+ *   (npm test runs test/ against the in-memory store)
+ * - A Cron Trigger (e.g. every 5 minutes) runs the scheduled handler, which
+ *   publishes drafts that are due and purges expired trash
  * - Pure vanilla JavaScript/HTML/CSS
  * - No external dependencies
  * 
+ * Configuration (env):
+ * - STORAGE : "kv" (the default; a KV namespace bound as KV), "d1" (a D1
+ *   database bound as DB, which gets an "entries" table on first use) or
+ *   "memory" (lost when the isolate goes away). A store object can be passed
+ *   instead; it needs KV's get, getWithMetadata, put, delete and list
+ * 
  * Routes:
  * - / : Service status
- * - /l : List all pages (requires auth)
+ * - /l : List all pages (requires auth); ?view=updated sorts by last
+ *   modified, ?view=recent shows the last RECENT_DAYS of changes, and
+ *   ?tag={tag} filters by tag; ?size= sets the page size and results are
+ *   paged with next/previous links (KV cursors for the name view, offsets
+ *   for the others)
+ * - /logout : Log out (POST)
+ * - /users : Manage user accounts (requires admin)
+ * - /audit : Audit log, filterable by action, user, page prefix and IP
+ *   (requires admin)
+ * - /tokens : Create and revoke API tokens (requires auth)
+ * - /export : Download every page, attachment and record as a tar, or a list
+ *   of parts when it needs more than one request (requires admin)
+ * - /export?part={n}&cursor={cursor}&skip={n}&count={n} : Download one part
+ * - /import : Restore an exported tar archive, a batch per request, with
+ *   Continue and Cancel for unfinished imports (requires admin)
  * - /new : Create new page form (requires auth)
- * - /{page} : View page
- * - /{page}/e : Edit page
- * - /{page}/d : Delete page
- * - /{page}/r/{newname} : Rename page
+ * - /trash : Deleted pages (requires editor; POST restores, admins can also
+ *   purge single pages or empty the trash)
+ * - /feed.atom : Recently created or edited pages (only pages the reader may see)
+ * - /sitemap.xml : Public pages with their last-modified times
+ * - /robots.txt : Keeps crawlers off listings and actions, points at the sitemap
+ * - /s?q={query} : Search pages (POST rebuilds the index in batches, admin only)
+ * - /{page} : View page (subject to the page's visibility); {page} may
+ *   contain slashes, and page actions are chosen with ?action= so they
+ *   never collide with page names:
+ * - /{page}?action=edit : Edit page (requires auth, as do all actions below)
+ * - /{page}?action=delete : Delete page (POST moves it to the trash)
+ * - /{page}?action=rename : Rename page, optionally with its subtree, link
+ *   rewriting and overwriting existing pages (POST renames)
+ * - /{page}?action=share : List, create and revoke share links (POST changes them)
+ * - /{page}?action=comment : Post, reply to, edit, resolve or delete comments (POST)
+ * - /{page}?share={token} : View the page through a share link
+ * - /{page}?action=preview : Preview the page's draft
+ * - /{page}?action=publish : Publish the draft now (POST)
+ * - /{page}?action=discard : Throw the draft away (POST)
+ * - /{page}?action=history : List revisions (&from={rev}&to={rev} shows a diff)
+ * - /{page}?action=history&rev={rev} : View a revision (POST restores it)
+ * - /{page}?action=attachments : List attachments (POST uploads or deletes)
+ * - /{page}?action=attachment&name={name} : Download an attachment (follows
+ *   page visibility, no auth needed for public pages; &share={token} works
+ *   for links that include attachments)
+ *
+ * API (JSON, "Authorization: Bearer {token}"):
+ * - GET /api/pages?prefix=&limit=&cursor= : List visible pages
+ * - GET /api/pages/{page} : Content, contentType and metadata, with an ETag
+ * - PUT /api/pages/{page} : Create or replace a page from
+ *   {content, contentType?, metadata?: {visibility, allowed, render, title, tags}}
+ * - PATCH /api/pages/{page} : Change only the fields given
+ * - DELETE /api/pages/{page} : Move a page to the trash
+ * - Writes need "If-Match: {etag}" (412 when stale, 428 when missing), or
+ *   "If-None-Match: *" to create; settings left out keep their values, and
+ *   contentType (text/markdown or text/html) overrides content detection
+ * - API writes discard the page's pending draft, as saving in the editor does
+ *
+ * Storage:
+ * - Pages are stored under their own key; keys starting with "~" are reserved
+ *   for internal records such as revisions and are never served as pages
+ * - The link index keeps one "~backlink" key per link, so backlinks are read
+ *   with a single prefix listing
+ * - The search index has one "~idx:term:{term}:{page}" posting per term and
+ *   page, with the count and page length in the KV metadata, so a search
+ *   lists only the terms it asks for; "~idx:doc:{page}" holds the terms last
+ *   indexed for the page and "~idx:stats" the page count and total length
+ * - Page settings and details (visibility, allowed users, render mode, title,
+ *   tags, created/updated times, author, content kind, current revision)
+ *   live in the page key's KV metadata, so listings can sort and filter
+ *   without extra reads
+ * - A renamed page leaves an empty redirect stub at its old key, with
+ *   {redirect: newKey} and the page's visibility in the KV metadata; its
+ *   revisions, attachments and draft move to the new key
+ * - "~feed:{countdown}:{page}" keys hold each page's latest change in their
+ *   KV metadata, newest first, replaced as pages are saved, renamed and
+ *   deleted; the feed lists the first FEED_LENGTH
+ * - Drafts are "~draft:{page}" records holding content, settings and the
+ *   publish time; the time and visibility are repeated in the KV metadata so
+ *   the cron handler and the page list don't need to read every draft
+ * - Accounts are stored as "~user:{name}" records
+ * - Audit entries are "~audit:{n}-{random}" records holding the entry in the
+ *   KV metadata; n counts down as time goes on, so listings are newest first.
+ *   AUDIT_TTL can make them expire
+ * - Share links are "~share:{page}:{id}" records with the expiry, view limit
+ *   and view count in the KV metadata, set to expire along with the link;
+ *   the token handed out is the id plus an HMAC signature of it
+ * - Trashed pages are "~trash:{time}-{random}" keys with what the trash list
+ *   shows in the KV metadata, and one "~trash:{id}:{item}" key each for the
+ *   content and KV metadata, attachment records, draft and comment threads;
+ *   attachment blobs and revisions stay where they are until the page is purged
+ * - Comment threads are "~comment:{page}:{thread}" records holding every
+ *   comment in the thread, kept apart from the page so edits never touch them
+ * - Unfinished imports are "~import:{id}" records holding the progress, with
+ *   the uploaded archive stored as a blob until the import ends
+ * - Failed logins are counted in "~login:{ip}" records, in total and per
+ *   account name, that expire by themselves
+ * - API tokens are "~token:{sha256}" records (owner and name in the KV metadata)
+ * - Attachments are "~att:{page}:{name}" records (details in the KV metadata)
+ *   pointing at a blob stored as ATTACHMENT_CHUNK_SIZE "~blob:{id}:{n}" chunks,
+ *   so renaming a page never copies file data
+ *
+ * Export archive layout:
+ * - pages/{name}.md|.html|.json : page content (.json for legacy file pages)
+ * - attachments/{page}/{file} : attachments as their original binaries
+ * - meta/{path}.json : page key and KV metadata for the entry at {path}
+ * - system/{key}.json : other internal records (revisions, comments, drafts,
+ *   ...); derived indexes are left out and rebuilt on import. Accounts, API
+ *   tokens and the audit log are neither exported nor accepted on import
  */
  
  
  const ADMIN_PASSWORD = ''; // Set your access password
+const SESSION_SECRET = ''; // Set a long random string to sign session cookies
+const SESSION_TTL = 60 * 60 * 12; // Session lifetime in seconds
 const AUTH_COOKIE_NAME = 'auth';
-const AUTH_COOKIE_VALUE = 'ok';
+const CSRF_FIELD = '_csrf';
+const BUILTIN_ADMIN = 'admin';
+const PASSWORD_ITERATIONS = 100000; // Workers caps PBKDF2 at 100000 iterations
+const ROLES = ['viewer', 'editor', 'admin'];
+const VISIBILITIES = ['public', 'internal', 'private'];
+const MAX_ALLOWED_USERS = 20;
+const MAX_TITLE_LENGTH = 120;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const SETTINGS_SIZE_LIMIT = 760; // Leaves room for the rest of the page's 1024-byte KV metadata
+const RECENT_DAYS = 7;
+const LIST_VIEWS = ['tree', 'updated', 'recent']; // The first is the default
+const LIST_PAGE_SIZE = 50;
+const LIST_PAGE_SIZES = [25, 50, 100, 200];
+const FEED_TITLE = 'Wiki: recent changes';
+const FEED_LENGTH = 50;
+const FEED_NOTE_LENGTH = 200; // Keeps each feed entry inside the 1024-byte KV metadata
+const AUDIT_ACTIONS = [
+  'login', 'login-failed', 'login-locked', 'logout', 'create', 'edit', 'draft', 'publish',
+  'discard', 'restore', 'delete', 'rename', 'upload', 'remove-attachment', 'share', 'comment', 'purge', 'import', 'user', 'token'
+];
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_SCAN_LIMIT = 5000; // Entries read per /audit request while filtering
+const AUDIT_FIELD_LENGTH = 160; // Keeps each entry inside the 1024-byte KV metadata
+const AUDIT_TTL = 0; // Seconds to keep audit entries; 0 keeps them forever
+const LOGIN_MAX_FAILURES = 5; // Failed logins from one IP before it is locked out
+const LOGIN_WINDOW = 15 * 60; // Seconds over which failures are counted
+const LOGIN_LOCKOUT = 15 * 60; // Seconds a locked-out IP has to wait
+const SHARE_EXPIRY_HOURS = [1, 24, 24 * 7, 24 * 30];
+const SHARE_DEFAULT_EXPIRY = 24 * 7;
+// Storage operations one batch of exporting, importing or reindexing may use.
+// Workers allow 1000 per invocation; the rest is left for the request around
+// it and for entries that need more than expected
+const BATCH_OPERATIONS = 500;
+const IMPORT_FAILURES_KEPT = 100;
+const DIFF_MAX_EDITS = 2000; // Changed lines a diff or merge will line up one by one
+const INCLUDE_MAX_DEPTH = 5;
+const INCLUDE_LIMIT = 20; // Included pages read per page view
+const PAGES_MACRO_LIMIT = 100;
+const COMMENT_MAX_LENGTH = 5000;
+const COMMENTS_PER_THREAD = 200;
+const TRASH_RETENTION_DAYS = 30; // The cron handler purges older trash; 0 keeps it until purged by hand
+const ATTACHMENT_CHUNK_SIZE = 10 * 1024 * 1024; // KV values are capped at 25 MiB
+const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+const SYS_PREFIX = '~';
+const HTML_PATTERN = /<html|<!DOCTYPE|<body|<div|<script|<style/i;
+const SEARCH_TERMS_PER_PAGE = 200; // Postings kept per page, so a save stays within its storage operations
+const SEARCH_QUERY_TERMS = 10;
+const SEARCH_TERM_LENGTH = 64; // Longer words aren't indexed, keeping posting keys short
+const SEARCH_POSTINGS_LIMIT = 1000; // Postings read per query term, one KV listing
+const SEARCH_RESULTS_LIMIT = 50;
+const SEARCH_RESULT_READS = 200; // Result pages read per search while skipping ones the reader can't see
+const API_TOKEN_PREFIX = 'wk_';
+const API_LIST_LIMIT = 100;
+const API_CONTENT_TYPES = ['text/markdown', 'text/html'];
+const RENDER_MODES = ['isolated', 'sanitized']; // The first is the default
+const SANITIZER_TAGS = [
+  'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+  'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark',
+  'nav', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub', 'summary',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+];
+const SANITIZER_VOID_TAGS = ['br', 'col', 'hr', 'img', 'wbr'];
+const SANITIZER_ATTRIBUTES = {
+  '*': ['class', 'dir', 'id', 'lang', 'title'],
+  a: ['href', 'name'],
+  blockquote: ['cite'],
+  col: ['span'],
+  colgroup: ['span'],
+  del: ['cite', 'datetime'],
+  details: ['open'],
+  img: ['src', 'alt', 'width', 'height'],
+  ins: ['cite', 'datetime'],
+  ol: ['start', 'type', 'reversed'],
+  q: ['cite'],
+  td: ['colspan', 'rowspan', 'align'],
+  th: ['colspan', 'rowspan', 'align', 'scope'],
+  time: ['datetime']
+};
+// Dropped together with everything inside them
+const SANITIZER_DROP_CONTENT = [
+  'script', 'style', 'title', 'textarea', 'select', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'applet', 'template', 'noscript', 'noembed', 'noframes', 'svg', 'math', 'xmp', 'plaintext'
+];
+// HTML pages in isolated mode get an opaque origin: their scripts run, but
+// can't read the wiki's cookies or make same-origin requests
+const SANDBOX_POLICY = 'sandbox allow-scripts allow-popups';
+// Pages rendered inside the wiki's own layout never need scripts
+const PAGE_POLICY = "script-src 'none'; object-src 'none'; base-uri 'none'";
+
+const STORAGE_BACKENDS = ['kv', 'd1', 'memory']; // The first is the default
+const KV_KEY_LIMIT = 512;
+const KV_METADATA_LIMIT = 1024;
+const D1_CHUNK_SIZE = 1024 * 1024; // D1 caps rows at 2 MB
+
+// Every backend offers the part of the Workers KV API used here (get,
+// getWithMetadata, put, delete, list), so the rest of the worker takes the
+// store as its first argument and reads and writes it as it would KV
+export default {
+  async fetch(request, env) {
+    return await handleRequest(getStorage(env), request);
+  },
+
+  async scheduled(event, env, ctx) {
+    const store = getStorage(env);
+    ctx.waitUntil(Promise.all([publishDueDrafts(store), purgeExpiredTrash(store)]));
+  }
+};
+
+export { MemoryStore, D1Store };
+
+// Stores are kept per env, so an in-memory store lasts as long as the isolate
+const stores = new WeakMap();
+
+function getStorage(env) {
+  if (!stores.has(env)) {
+    stores.set(env, createStorage(env));
+  }
+  return stores.get(env);
+}
+
+// env.STORAGE picks the backend: "kv" (a KV namespace bound as KV), "d1" (a
+// D1 database bound as DB) or "memory". Any other object is used as the
+// store itself, which lets tests and other runtimes bring their own
+function createStorage(env) {
+  if (env.STORAGE && typeof env.STORAGE === 'object') {
+    return env.STORAGE;
+  }
 
-addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request));
-});
+  const backend = env.STORAGE || STORAGE_BACKENDS[0];
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE "${backend}", expected one of ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  if (backend === 'memory') {
+    return new MemoryStore();
+  }
+
+  const binding = backend === 'kv' ? 'KV' : 'DB';
+  if (!env[binding]) {
+    throw new Error(`STORAGE "${backend}" needs a binding named ${binding}`);
+  }
+  return backend === 'kv' ? env.KV : new D1Store(env.DB);
+}
 
-async function handleRequest(request) {
+async function handleRequest(store, request) {
   const url = new URL(request.url);
   const path = url.pathname.split('/').filter(p => p.length > 0);
 
@@ -58,28 +359,50 @@ async function handleRequest(request) {
       });
     }
 
-    if (path.length === 1 && path[0] === 'l') {
-      const cookie = request.headers.get('Cookie') || '';
-      const authenticated = cookie.includes(`${AUTH_COOKIE_NAME}=${AUTH_COOKIE_VALUE}`);
+    if (path[0] === 'api') {
+      return await handleApiRequest(store, request, path.slice(1));
+    }
+
+    const session = await getSession(store, request);
 
-      if (authenticated) {
-        return await listPages();
+    if (path.length === 1 && path[0] === 'l') {
+      if (session) {
+        return await listPages(store, request, session);
       }
 
       if (request.method === 'POST') {
         const formData = await request.formData();
-        const password = formData.get('password');
+        const username = (formData.get('username') || '').trim().toLowerCase();
+        const password = formData.get('password') || '';
+        const attempt = { user: username || BUILTIN_ADMIN, client: clientInfo(request) };
+
+        // Checked before the password so a locked-out IP can't keep guessing
+        const lockedFor = await loginLockout(store, attempt.client.ip);
+        if (lockedFor > 0) {
+          await recordAudit(store, attempt, 'login-locked');
+          return new Response(renderLoginForm(`Too many failed attempts. Try again in ${Math.ceil(lockedFor / 60)} minutes.`), {
+            status: 429,
+            headers: { 'Content-Type': 'text/html; charset=utf-8', 'Retry-After': String(lockedFor) }
+          });
+        }
 
-        if (password === ADMIN_PASSWORD) {
+        const user = await authenticateUser(store, username, password);
+
+        if (user) {
+          await clearLoginFailures(store, attempt.client.ip, attempt.user);
+          await recordAudit(store, { ...attempt, user: user.name }, 'login');
+          const token = await createSessionToken(user);
           return new Response('', {
             status: 302,
             headers: {
-              'Set-Cookie': `${AUTH_COOKIE_NAME}=${AUTH_COOKIE_VALUE}; Path=/; HttpOnly`,
+              'Set-Cookie': `${AUTH_COOKIE_NAME}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL}`,
               'Location': '/l'
             }
           });
         } else {
-          return new Response(renderLoginForm('Invalid password. Please try again.'), {
+          const failures = await recordLoginFailure(store, attempt.client.ip, attempt.user);
+          await recordAudit(store, attempt, 'login-failed', '', failures >= LOGIN_MAX_FAILURES ? 'locked out' : `${failures} of ${LOGIN_MAX_FAILURES}`);
+          return new Response(renderLoginForm('Invalid user name or password. Please try again.'), {
             status: 401,
             headers: { 'Content-Type': 'text/html; charset=utf-8' }
           });
@@ -92,39 +415,188 @@ async function handleRequest(request) {
       });
     }
 
+    if (path.length === 1 && path[0] === 'logout') {
+      if (!session) {
+        return redirect('/l');
+      }
+
+      if (request.method === 'POST') {
+        if (!await readVerifiedForm(request, session)) {
+          return invalidCsrf();
+        }
+
+        await revokeSession(store, session);
+        await recordAudit(store, session, 'logout');
+        return new Response('', {
+          status: 302,
+          headers: {
+            'Set-Cookie': `${AUTH_COOKIE_NAME}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`,
+            'Location': '/l'
+          }
+        });
+      }
+
+      return serveLogoutForm(await csrfToken(session));
+    }
+
+    if (path.length === 1 && path[0] === 'users') {
+      if (!session) {
+        return unauthorized();
+      }
+      if (!hasRole(session, 'admin')) {
+        return forbidden();
+      }
+
+      if (request.method === 'POST') {
+        const formData = await readVerifiedForm(request, session);
+        if (!formData) {
+          return invalidCsrf();
+        }
+        return await updateUsers(store, formData, session);
+      }
+
+      return await serveUsersPage(store, await csrfToken(session));
+    }
+
+    if (path.length === 1 && path[0] === 'audit') {
+      if (!session) {
+        return unauthorized();
+      }
+      if (!hasRole(session, 'admin')) {
+        return forbidden();
+      }
+
+      return await serveAuditPage(store, request);
+    }
+
+    if (path.length === 1 && path[0] === 'tokens') {
+      if (!session) {
+        return unauthorized();
+      }
+
+      const csrf = await csrfToken(session);
+      if (request.method === 'POST') {
+        const formData = await readVerifiedForm(request, session);
+        if (!formData) {
+          return invalidCsrf();
+        }
+        return await updateApiTokens(store, formData, session, csrf);
+      }
+
+      return await serveTokensPage(store, session, csrf);
+    }
+
+    if (path.length === 1 && (path[0] === 'export' || path[0] === 'import')) {
+      if (!session) {
+        return unauthorized();
+      }
+      if (!hasRole(session, 'admin')) {
+        return forbidden();
+      }
+
+      if (path[0] === 'export') {
+        return await exportArchive(store, url);
+      }
+
+      if (request.method === 'POST') {
+        const formData = await readVerifiedForm(request, session);
+        if (!formData) {
+          return invalidCsrf();
+        }
+        return await importArchive(store, formData, session);
+      }
+
+      return await serveImportForm(store, await csrfToken(session));
+    }
+
+    if (path.length === 1 && path[0] === 'trash') {
+      if (!session) {
+        return unauthorized();
+      }
+      if (!hasRole(session, 'editor')) {
+        return forbidden();
+      }
+
+      if (request.method === 'POST') {
+        const formData = await readVerifiedForm(request, session);
+        if (!formData) {
+          return invalidCsrf();
+        }
+        return await updateTrash(store, formData, session);
+      }
+
+      return await serveTrashPage(store, session, await csrfToken(session));
+    }
+
+    if (path.length === 1 && path[0] === 'feed.atom') {
+      return await serveFeed(store, request, session);
+    }
+
+    if (path.length === 1 && path[0] === 'sitemap.xml') {
+      return await serveSitemap(store, request);
+    }
+
+    if (path.length === 1 && path[0] === 'robots.txt') {
+      return serveRobots(request);
+    }
+
     if (path.length === 1 && path[0] === 'new') {
-      const cookie = request.headers.get('Cookie') || '';
-      const authenticated = cookie.includes(`${AUTH_COOKIE_NAME}=${AUTH_COOKIE_VALUE}`);
-      
-      if (!authenticated) {
-        return new Response('Unauthorized', { status: 401 });
+      if (!session) {
+        return unauthorized();
+      }
+      if (!hasRole(session, 'editor')) {
+        return forbidden();
       }
       
-      return serveNewPageForm();
+      return serveNewPageForm(await csrfToken(session));
     }
 
     if (path.length === 1 && path[0] === 'create') {
-      const cookie = request.headers.get('Cookie') || '';
-      const authenticated = cookie.includes(`${AUTH_COOKIE_NAME}=${AUTH_COOKIE_VALUE}`);
-      
-      if (!authenticated) {
-        return new Response('Unauthorized', { status: 401 });
+      if (!session) {
+        return unauthorized();
+      }
+      if (!hasRole(session, 'editor')) {
+        return forbidden();
       }
 
       if (request.method === 'POST') {
-        const formData = await request.formData();
-        const pageName = formData.get('pageName');
+        const formData = await readVerifiedForm(request, session);
+        if (!formData) {
+          return invalidCsrf();
+        }
+
+        const pageName = pageKeyFromName(formData.get('pageName') || '');
         const content = formData.get('content');
         
         if (!pageName) {
           return new Response('Page name is required', { status: 400 });
         }
+
+        if (isReservedKey(pageName)) {
+          return new Response(`Page names starting with "${SYS_PREFIX}" are reserved`, { status: 400 });
+        }
+
+        const settings = readPageSettings(formData, session);
+        if (settings.error) {
+          return new Response(settings.error, { status: 400 });
+        }
         
         try {
-          await KV.put(pageName, content || '');
+          if (formData.get('publish') === 'draft') {
+            const publishAt = readPublishAt(formData);
+            if (publishAt === undefined) {
+              return new Response('Invalid publish time', { status: 400 });
+            }
+            await saveDraft(store, pageName, content || '', settings.metadata, session, publishAt);
+            await recordAudit(store, session, 'draft', pageName);
+            return redirect(pageUrl(pageName, 'preview'));
+          }
+
+          await writePage(store, pageName, content || '', 'create', { ...settings.metadata, author: session.user });
+          await recordAudit(store, session, 'create', pageName);
           return new Response('', {
             status: 302,
-            headers: { 'Location': `/${pageName}` }
+            headers: { 'Location': pageUrl(pageName) }
           });
         } catch (error) {
           console.error('Error creating page:', error);
@@ -133,31 +605,166 @@ async function handleRequest(request) {
       }
     }
 
-    const key = path[0];
+    if (path.length === 1 && path[0] === 's') {
+      if (request.method === 'POST') {
+        if (!session) {
+          return unauthorized();
+        }
+        if (!hasRole(session, 'admin')) {
+          return forbidden();
+        }
+        const formData = await readVerifiedForm(request, session);
+        if (!formData) {
+          return invalidCsrf();
+        }
+
+        const count = name => Math.max(0, parseInt(formData.get(name), 10) || 0);
+        const next = await rebuildSearchIndex(store, {
+          phase: ['legacy', 'pages', 'orphans'].includes(formData.get('phase')) ? formData.get('phase') : 'legacy',
+          cursor: formData.get('cursor') || undefined,
+          skip: count('skip'),
+          docs: count('docs'),
+          length: count('length')
+        });
+        return next ? serveRebuildProgress(next, await csrfToken(session)) : redirect('/s');
+      }
+
+      return await serveSearchPage(store, request, session);
+    }
+
+    let key;
+    try {
+      key = pageKeyFromPath(path);
+    } catch (e) {
+      return new Response('Malformed page name', { status: 400 });
+    }
 
-    if (path.length === 1) {
-      return await servePage(request, key);
+    if (isReservedKey(key)) {
+      return new Response('Not Found', { status: 404 });
     }
 
-    if (path.length === 2) {
-      if (path[1] === 'e') {
-        if (request.method === 'GET') {
-          return await serveEditForm(key);
-        } else if (request.method === 'POST') {
-          return await savePage(request, key);
-        }
-      } else if (path[1] === 'd') {
-        if (request.method === 'GET') {
-          return await confirmDeletePage(key);
-        } else if (request.method === 'POST') {
-          return await deletePage(key);
+    const action = url.searchParams.get('action');
+
+    if (!action) {
+      return await servePage(store, request, key, session);
+    }
+
+    if (action === 'attachment' && request.method === 'GET') {
+      return await serveAttachment(store, key, url.searchParams.get('name') || '', session, url.searchParams.get('share'));
+    }
+
+    // Every other action edits or inspects the page
+    if (!session) {
+      return unauthorized();
+    }
+
+    const { metadata } = await store.getWithMetadata(key);
+    const pageMeta = metadata || {};
+    if (!canView(session, pageMeta)) {
+      return new Response('Page not found', { status: 404 });
+    }
+    // Drafts, including their previews, are only for those who can edit.
+    // Anyone who can read the page can take part in its discussion
+    const isRead = (request.method === 'GET' && (action === 'history' || action === 'attachments')) || action === 'comment';
+    if (!isRead && !canEdit(session, pageMeta)) {
+      return forbidden();
+    }
+
+    const csrf = await csrfToken(session);
+    let formData = null;
+    if (request.method === 'POST') {
+      formData = await readVerifiedForm(request, session);
+      if (!formData) {
+        return invalidCsrf();
+      }
+    }
+
+    if (action === 'edit') {
+      if (request.method === 'GET') {
+        return await serveEditForm(store, key, csrf);
+      } else if (request.method === 'POST') {
+        return await savePage(store, formData, key, session);
+      }
+    }
+
+    if (action === 'delete') {
+      if (request.method === 'GET') {
+        return await confirmDeletePage(key, csrf);
+      } else if (request.method === 'POST') {
+        return await deletePage(store, key, session);
+      }
+    }
+
+    if (action === 'rename') {
+      if (request.method === 'GET') {
+        return confirmRenamePage(key, url.searchParams.get('to') || '', csrf);
+      } else if (request.method === 'POST') {
+        const newKey = pageKeyFromName(formData.get('newName') || '');
+
+        if (!newKey || isReservedKey(newKey)) {
+          return new Response(`Page names must not be empty or start with "${SYS_PREFIX}"`, { status: 400 });
         }
+
+        return await renamePage(store, key, newKey, session, {
+          subtree: formData.get('subtree') === 'on',
+          force: formData.get('force') === 'on',
+          rewriteLinks: formData.get('rewriteLinks') === 'on'
+        });
+      }
+    }
+
+    if (action === 'attachments') {
+      if (request.method === 'GET') {
+        return await serveAttachmentsPage(store, key, canEdit(session, pageMeta) ? csrf : null);
+      } else if (request.method === 'POST' && formData.get('delete')) {
+        await deleteAttachment(store, key, formData.get('delete'));
+        await recordAudit(store, session, 'remove-attachment', key, formData.get('delete'));
+        return redirect(pageUrl(key, 'attachments'));
+      } else if (request.method === 'POST') {
+        return await uploadAttachments(store, formData, key, session);
+      }
+    }
+
+    if (action === 'share') {
+      if (request.method === 'GET') {
+        return await serveSharePage(store, key, csrf, url.origin);
+      } else if (request.method === 'POST') {
+        return await updateShareLinks(store, formData, key, session);
+      }
+    }
+
+    if (action === 'comment' && request.method === 'POST') {
+      return await updateComments(store, formData, key, session, pageMeta);
+    }
+
+    if (action === 'preview' && request.method === 'GET') {
+      return await serveDraftPreview(store, key, session, csrf);
+    }
+
+    if ((action === 'publish' || action === 'discard') && request.method === 'POST') {
+      const draft = await getDraft(store, key);
+      if (!draft) {
+        return new Response('No draft to ' + action, { status: 404 });
       }
+      if (action === 'publish') {
+        await publishDraft(store, key, draft);
+        await recordAudit(store, session, 'publish', key);
+        return redirect(pageUrl(key));
+      }
+      await store.delete(sysKey('draft', key));
+      await recordAudit(store, session, 'discard', key);
+      return redirect(await store.get(key) !== null ? pageUrl(key) : '/l');
     }
 
-    if (path.length === 3 && path[1] === 'r') {
-      const newKey = path[2];
-      return await renamePage(key, newKey);
+    if (action === 'history') {
+      const rev = url.searchParams.get('rev');
+      if (!rev) {
+        return await serveHistoryPage(store, request, key);
+      } else if (request.method === 'GET') {
+        return await serveRevision(store, key, rev, canEdit(session, pageMeta) ? csrf : null);
+      } else if (request.method === 'POST') {
+        return await restoreRevision(store, key, rev, session);
+      }
     }
 
     return new Response('Not Found', { status: 404 });
@@ -167,496 +774,5964 @@ async function handleRequest(request) {
   }
 }
 
-function renderLoginForm(errorMsg = '') {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <title>Login</title>
-      <style>
-        body {
-          font-family: system-ui, -apple-system, sans-serif;
-          margin: 40px auto;
-          max-width: 650px;
-          line-height: 1.6;
-          padding: 0 10px;
-        }
-        form {
-          margin: 20px 0;
-        }
-        input[type="password"] {
-          width: 100%;
-          padding: 8px;
-          margin: 8px 0;
-          border: 1px solid #ddd;
-        }
-        button {
-          padding: 8px 16px;
-          background: #000;
-          color: #fff;
-          border: none;
-          cursor: pointer;
-        }
-        .error {
-          color: #d00;
-          margin: 10px 0;
-        }
-      </style>
-    </head>
-    <body>
-      <h1>Login Required</h1>
-      ${errorMsg ? `<div class="error">${errorMsg}</div>` : ''}
-      <form method="POST">
-        <div>
-          <label for="password">Password:</label>
-          <input type="password" id="password" name="password" required>
-        </div>
-        <button type="submit">Submit</button>
-      </form>
-    </body>
-    </html>
-  `;
+function redirect(location) {
+  return new Response('', {
+    status: 302,
+    headers: { 'Location': location }
+  });
 }
 
-function serveNewPageForm() {
-  const form = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Create New Page</title>
-      <style>
-        body {
-          font-family: system-ui, -apple-system, sans-serif;
-          margin: 40px auto;
-          max-width: 650px;
-          line-height: 1.6;
-          padding: 0 10px;
-        }
-        form {
-          margin: 20px 0;
-        }
-        input[type="text"] {
-          width: 100%;
-          padding: 8px;
-          margin: 8px 0;
-          border: 1px solid #ddd;
-        }
-        textarea {
-          width: 100%;
-          height: 300px;
-          margin: 8px 0;
-          padding: 8px;
-          border: 1px solid #ddd;
-          font-family: monospace;
-        }
-        button {
-          padding: 8px 16px;
-          background: #000;
-          color: #fff;
-          border: none;
-          cursor: pointer;
-        }
-        .actions {
-          margin: 20px 0;
-        }
-        .actions a {
-          color: #000;
-          text-decoration: none;
-          margin-right: 15px;
-        }
-        .actions a:hover {
-          text-decoration: underline;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="actions">
-        <a href="/l">← Back to Pages</a>
-      </div>
-      <h1>Create New Page</h1>
-      <form action="/create" method="post">
-        <div>
-          <label for="pageName">Page Name:</label>
-          <input type="text" id="pageName" name="pageName" required>
-        </div>
-        <div>
+function unauthorized() {
+  return new Response('Unauthorized', { status: 401 });
+}
+
+function forbidden() {
+  return new Response('Forbidden', { status: 403 });
+}
+
+function invalidCsrf() {
+  return new Response('Invalid or missing CSRF token', { status: 403 });
+}
+
+function getCookie(request, name) {
+  const cookie = request.headers.get('Cookie') || '';
+  for (const part of cookie.split(';')) {
+    const [cookieName, ...rest] = part.trim().split('=');
+    if (cookieName === name) {
+      return rest.join('=');
+    }
+  }
+  return null;
+}
+
+function base64UrlEncode(bytes) {
+  return arrayBufferToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function getSigningKey() {
+  // Without a dedicated secret, sessions are bound to the admin password and
+  // all of them end when it changes
+  const secret = SESSION_SECRET || `session:${ADMIN_PASSWORD}`;
+  return await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+async function signValue(value) {
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), new TextEncoder().encode(value));
+  return base64UrlEncode(signature);
+}
+
+async function verifySignature(value, signature) {
+  try {
+    return await crypto.subtle.verify('HMAC', await getSigningKey(), base64UrlDecode(signature), new TextEncoder().encode(value));
+  } catch (e) {
+    return false;
+  }
+}
+
+async function createSessionToken(user) {
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    sid: randomHex(16),
+    exp: Math.floor(Date.now() / 1000) + SESSION_TTL,
+    user: user.name,
+    role: user.role,
+    builtin: Boolean(user.builtin)
+  })));
+  return `${payload}.${await signValue(payload)}`;
+}
+
+async function getSession(store, request) {
+  const token = getCookie(request, AUTH_COOKIE_NAME);
+  if (!token || !(SESSION_SECRET || ADMIN_PASSWORD)) {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !await verifySignature(payload, signature)) {
+    return null;
+  }
+
+  let session;
+  try {
+    session = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+  } catch (e) {
+    return null;
+  }
+
+  if (!session.exp || session.exp * 1000 <= Date.now()) {
+    return null;
+  }
+
+  if (await store.get(sysKey('revoked', session.sid)) !== null) {
+    return null;
+  }
+
+  if (!session.builtin) {
+    // Pick up role changes and deleted accounts on the next request. The
+    // admin name only ever belongs to the built-in account
+    const user = session.user !== BUILTIN_ADMIN && await getUser(store, session.user);
+    if (!user) {
+      return null;
+    }
+    session.role = user.role;
+  }
+
+  // Carried along so audit entries can say where a change came from
+  session.client = clientInfo(request);
+  return session;
+}
+
+function hasRole(session, role) {
+  return Boolean(session) && ROLES.indexOf(session.role) >= ROLES.indexOf(role);
+}
+
+function canView(session, metadata) {
+  const visibility = metadata.visibility || 'public';
+  if (visibility === 'public') {
+    return true;
+  }
+  if (!session) {
+    return false;
+  }
+  if (visibility === 'internal' || hasRole(session, 'admin')) {
+    return true;
+  }
+  return (metadata.allowed || []).includes(session.user);
+}
+
+function canEdit(session, metadata) {
+  return hasRole(session, 'editor') && canView(session, metadata);
+}
+
+function readPageSettings(formData, session) {
+  const render = formData.get('render') || RENDER_MODES[0];
+  if (!RENDER_MODES.includes(render)) {
+    return { error: 'Unknown render mode' };
+  }
+
+  const settings = normalizeVisibility(
+    formData.get('visibility') || 'public',
+    (formData.get('allowed') || '').split(','),
+    session
+  );
+  if (settings.error) {
+    return settings;
+  }
+
+  const details = normalizePageDetails(formData.get('title') || '', (formData.get('tags') || '').split(','));
+  if (details.error) {
+    return details;
+  }
+
+  return checkSettingsSize({ ...settings.metadata, ...details.metadata, render });
+}
+
+function normalizePageDetails(title, tags) {
+  if (typeof title !== 'string') {
+    return { error: 'Title must be a string' };
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be a list of strings' };
+  }
+
+  const cleanTitle = title.trim().replace(/\s+/g, ' ');
+  if (cleanTitle.length > MAX_TITLE_LENGTH) {
+    return { error: `Titles can be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+
+  const cleanTags = [...new Set(tags.map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+  if (cleanTags.length > MAX_TAGS) {
+    return { error: `A page can have at most ${MAX_TAGS} tags` };
+  }
+  if (cleanTags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+  }
+
+  return { metadata: { title: cleanTitle || undefined, tags: cleanTags } };
+}
+
+// Settings share the page key's KV metadata (capped at 1024 bytes) with the
+// revision, timestamps and author, so they get a smaller budget
+function checkSettingsSize(metadata) {
+  if (new TextEncoder().encode(JSON.stringify(metadata)).length > SETTINGS_SIZE_LIMIT) {
+    return { error: 'Page settings are too large: use fewer allowed users or tags, or a shorter title' };
+  }
+  return { metadata };
+}
+
+function normalizeVisibility(visibility, names, session) {
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: 'Unknown visibility' };
+  }
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    return { error: 'Allowed users must be a list of user names' };
+  }
+
+  const allowed = names
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (visibility === 'private' && !allowed.includes(session.user)) {
+    // Keep the author from locking themselves out
+    allowed.push(session.user);
+  }
+
+  if (allowed.length > MAX_ALLOWED_USERS) {
+    return { error: `A private page can list at most ${MAX_ALLOWED_USERS} users` };
+  }
+
+  return { metadata: { visibility, allowed: visibility === 'private' ? allowed : [] } };
+}
+
+function renderPageSettingsFields(metadata = {}) {
+  const visibility = metadata.visibility || 'public';
+  const options = VISIBILITIES.map(option =>
+    `<option value="${option}"${option === visibility ? ' selected' : ''}>${option}</option>`
+  ).join('');
+  const render = getRenderMode(metadata);
+  const renderOptions = RENDER_MODES.map(option =>
+    `<option value="${option}"${option === render ? ' selected' : ''}>${option}</option>`
+  ).join('');
+
+  return `
+        <div>
+          <label for="title">Title (optional):</label>
+          <input type="text" id="title" name="title" maxlength="${MAX_TITLE_LENGTH}" value="${escapeHtml(metadata.title || '')}">
+        </div>
+        <div>
+          <label for="tags">Tags (comma-separated):</label>
+          <input type="text" id="tags" name="tags" value="${escapeHtml((metadata.tags || []).join(', '))}">
+        </div>
+        <div>
+          <label for="visibility">Visibility:</label>
+          <select id="visibility" name="visibility">${options}</select>
+        </div>
+        <div>
+          <label for="allowed">Allowed users (private pages, comma-separated):</label>
+          <input type="text" id="allowed" name="allowed" value="${escapeHtml((metadata.allowed || []).join(', '))}">
+        </div>
+        <div>
+          <label for="render">HTML rendering (isolated: served as-is in a sandbox; sanitized: scripts and unsafe markup removed):</label>
+          <select id="render" name="render">${renderOptions}</select>
+        </div>`;
+}
+
+function renderPublishFields(draft) {
+  const publishAt = draft && draft.publishAt ? new Date(draft.publishAt).toISOString().slice(0, 16) : '';
+  return `
+        <div>
+          <label for="publishAt">Publish draft at (UTC, optional):</label>
+          <input type="datetime-local" id="publishAt" name="publishAt" value="${publishAt}">
+        </div>
+        <button type="submit" name="publish" value="now">Publish</button>
+        <button type="submit" name="publish" value="draft">Save Draft</button>`;
+}
+
+function getRenderMode(metadata) {
+  return RENDER_MODES.includes(metadata.render) ? metadata.render : RENDER_MODES[0];
+}
+
+async function getUser(store, name) {
+  if (!name) {
+    return null;
+  }
+  return await store.get(sysKey('user', name), { type: 'json' });
+}
+
+async function hashPassword(password, salt, iterations = PASSWORD_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: base64UrlDecode(salt), iterations },
+    baseKey,
+    256
+  );
+  return base64UrlEncode(bits);
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+async function authenticateUser(store, username, password) {
+  if (!password || !(SESSION_SECRET || ADMIN_PASSWORD)) {
+    return null;
+  }
+
+  // The admin name is reserved for the ADMIN_PASSWORD login, so a stored
+  // account under it (legacy or imported) never logs in
+  if (username === BUILTIN_ADMIN || username === '') {
+    return ADMIN_PASSWORD && timingSafeEqual(password, ADMIN_PASSWORD)
+      ? { name: BUILTIN_ADMIN, role: 'admin', builtin: true }
+      : null;
+  }
+
+  const user = await getUser(store, username);
+  if (user) {
+    const hash = await hashPassword(password, user.salt, user.iterations);
+    return timingSafeEqual(hash, user.hash) ? user : null;
+  }
+
+  return null;
+}
+
+async function listUsers(store) {
+  const prefix = sysKey('user') + ':';
+  const names = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      names.push(decodeURIComponent(entry.name.slice(prefix.length)));
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return (await Promise.all(names.map(name => getUser(store, name)))).filter(Boolean);
+}
+
+async function updateUsers(store, formData, session) {
+  const action = formData.get('action');
+  const name = (formData.get('name') || '').trim().toLowerCase();
+  const role = formData.get('role');
+  const password = formData.get('password') || '';
+
+  if (!/^[a-z0-9_.-]{1,32}$/.test(name)) {
+    return new Response('User names may only contain a-z, 0-9, ".", "_" and "-"', { status: 400 });
+  }
+  if (role && !ROLES.includes(role)) {
+    return new Response('Unknown role', { status: 400 });
+  }
+
+  const existing = await getUser(store, name);
+  const detail = `${action} ${name}${role ? ` (${role})` : ''}`;
+
+  if (action === 'create') {
+    if (existing || name === BUILTIN_ADMIN) {
+      return new Response('User already exists', { status: 409 });
+    }
+    if (password.length < 8) {
+      return new Response('Passwords must be at least 8 characters', { status: 400 });
+    }
+
+    const salt = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+    await store.put(sysKey('user', name), JSON.stringify({
+      name,
+      role: role || 'viewer',
+      salt,
+      hash: await hashPassword(password, salt),
+      iterations: PASSWORD_ITERATIONS,
+      created: Date.now()
+    }));
+  } else if (action === 'update') {
+    if (!existing) {
+      return new Response('User not found', { status: 404 });
+    }
+
+    const updated = { ...existing, role: role || existing.role };
+    if (password) {
+      if (password.length < 8) {
+        return new Response('Passwords must be at least 8 characters', { status: 400 });
+      }
+      updated.salt = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+      updated.hash = await hashPassword(password, updated.salt);
+      updated.iterations = PASSWORD_ITERATIONS;
+    }
+    await store.put(sysKey('user', name), JSON.stringify(updated));
+  } else if (action === 'delete') {
+    if (name === session.user) {
+      return new Response('You cannot delete your own account', { status: 400 });
+    }
+    await store.delete(sysKey('user', name));
+  } else {
+    return new Response('Unknown action', { status: 400 });
+  }
+
+  await recordAudit(store, session, 'user', '', password ? `${detail}, password set` : detail);
+  return redirect('/users');
+}
+
+async function serveUsersPage(store, csrf) {
+  const users = await listUsers(store);
+  const roleOptions = selected => ROLES.map(role =>
+    `<option value="${role}"${role === selected ? ' selected' : ''}>${role}</option>`
+  ).join('');
+
+  const rows = users.map(user => `
+    <tr>
+      <td>${escapeHtml(user.name)}</td>
+      <td>
+        <form method="post" class="inline">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="action" value="update">
+          <input type="hidden" name="name" value="${escapeHtml(user.name)}">
+          <select name="role">${roleOptions(user.role)}</select>
+          <input type="password" name="password" placeholder="New password">
+          <button type="submit">Update</button>
+        </form>
+      </td>
+      <td>
+        <form method="post" class="inline">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="action" value="delete">
+          <input type="hidden" name="name" value="${escapeHtml(user.name)}">
+          <button type="submit" class="delete">Delete</button>
+        </form>
+      </td>
+    </tr>`
+  ).join('');
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Users</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        td, th {
+          padding: 6px;
+          border-bottom: 1px solid #eee;
+          text-align: left;
+        }
+        input, select {
+          padding: 6px;
+          border: 1px solid #ddd;
+        }
+        button {
+          padding: 6px 12px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .delete {
+          background: #d00;
+        }
+        .inline {
+          display: inline;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/l">← Back to Pages</a>
+      </div>
+      <h1>Users</h1>
+      ${users.length === 0 ? '<p>No accounts yet. Only the built-in admin can log in.</p>' : `
+      <table>
+        <tr><th>Name</th><th>Role / Password</th><th></th></tr>
+        ${rows}
+      </table>`}
+      <h2>Add User</h2>
+      <form method="post">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="action" value="create">
+        <input type="text" name="name" placeholder="Name" required>
+        <input type="password" name="password" placeholder="Password" required minlength="8">
+        <select name="role">${roleOptions('viewer')}</select>
+        <button type="submit">Add</button>
+      </form>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+async function revokeSession(store, session) {
+  // KV refuses expirations less than 60 seconds away
+  const ttl = Math.max(60, session.exp - Math.floor(Date.now() / 1000));
+  await store.put(sysKey('revoked', session.sid), '', { expirationTtl: ttl });
+}
+
+async function csrfToken(session) {
+  return await signValue(`csrf:${session.sid}`);
+}
+
+async function readVerifiedForm(request, session) {
+  const formData = await request.formData();
+  const token = formData.get(CSRF_FIELD);
+
+  if (typeof token !== 'string' || !await verifySignature(`csrf:${session.sid}`, token)) {
+    return null;
+  }
+  return formData;
+}
+
+function csrfInput(csrf) {
+  return `<input type="hidden" name="${CSRF_FIELD}" value="${csrf}">`;
+}
+
+function pageUrl(key, action, params = {}) {
+  const query = new URLSearchParams(action ? { action, ...params } : params).toString();
+  return `/${key}${query ? `?${query}` : ''}`;
+}
+
+// Matches how browsers encode path segments, so keys stay the same as the
+// request path for everything but unusual characters
+function encodePathSegment(segment) {
+  return encodeURIComponent(segment).replace(/%(3A|40|2C|3B|3D|2B|24|26)/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function pageKeyFromPath(segments) {
+  return segments.map(segment => encodePathSegment(decodeURIComponent(segment))).join('/');
+}
+
+// Names for display. Pages saved before keys were normalized may hold a raw
+// "%" that doesn't decode; those show as stored instead of failing the page
+function decodeKey(key) {
+  try {
+    return decodeURIComponent(key);
+  } catch (e) {
+    return key;
+  }
+}
+
+function isReservedKey(key) {
+  return key.startsWith(SYS_PREFIX);
+}
+
+function sysKey(...parts) {
+  return SYS_PREFIX + parts.map(part => encodeURIComponent(part)).join(':');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTime(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+}
+
+function renderLoginForm(errorMsg = '') {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>Login</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        form {
+          margin: 20px 0;
+        }
+        input[type="text"],
+        input[type="password"] {
+          width: 100%;
+          padding: 8px;
+          margin: 8px 0;
+          border: 1px solid #ddd;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .error {
+          color: #d00;
+          margin: 10px 0;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Login Required</h1>
+      ${errorMsg ? `<div class="error">${errorMsg}</div>` : ''}
+      <form method="POST">
+        <div>
+          <label for="username">User name:</label>
+          <input type="text" id="username" name="username" autocomplete="username">
+        </div>
+        <div>
+          <label for="password">Password:</label>
+          <input type="password" id="password" name="password" required>
+        </div>
+        <button type="submit">Submit</button>
+      </form>
+    </body>
+    </html>
+  `;
+}
+
+function serveLogoutForm(csrf) {
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Log Out</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Log Out</h1>
+      <form action="/logout" method="post">
+        ${csrfInput(csrf)}
+        <button type="submit">Log Out</button>
+      </form>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+function serveNewPageForm(csrf) {
+  const form = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Create New Page</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        form {
+          margin: 20px 0;
+        }
+        input[type="text"] {
+          width: 100%;
+          padding: 8px;
+          margin: 8px 0;
+          border: 1px solid #ddd;
+        }
+        textarea {
+          width: 100%;
+          height: 300px;
+          margin: 8px 0;
+          padding: 8px;
+          border: 1px solid #ddd;
+          font-family: monospace;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/l">← Back to Pages</a>
+      </div>
+      <h1>Create New Page</h1>
+      <form action="/create" method="post">
+        ${csrfInput(csrf)}
+        <div>
+          <label for="pageName">Page Name:</label>
+          <input type="text" id="pageName" name="pageName" required>
+        </div>
+        <div>
           <label for="content">Content:</label>
           <textarea id="content" name="content"></textarea>
         </div>
-        <button type="submit">Create Page</button>
+        ${renderPageSettingsFields()}
+        ${renderPublishFields(null)}
+      </form>
+    </body>
+    </html>
+  `;
+  
+  return new Response(form, { 
+    status: 200, 
+    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+  });
+}
+
+async function servePage(store, request, key, session) {
+  const { value: data, metadata } = await store.getWithMetadata(key, { type: "text" });
+  const shareToken = new URL(request.url).searchParams.get('share');
+
+  if (metadata && metadata.redirect && canView(session, metadata)) {
+    return new Response('', {
+      status: 301,
+      headers: { 'Location': pageUrl(metadata.redirect) }
+    });
+  }
+
+  if (metadata && metadata.redirect && shareToken && await readShareToken(shareToken)) {
+    // Share links move with the page, so send them after it
+    return new Response('', {
+      status: 301,
+      headers: { 'Location': pageUrl(metadata.redirect, null, { share: shareToken }), 'Referrer-Policy': 'no-referrer' }
+    });
+  }
+
+  if (data && !canView(session, metadata || {}) && shareToken) {
+    const shared = await useShareLink(store, key, shareToken, true);
+    if (shared.error) {
+      return new Response(shared.error, {
+        status: shared.status,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    }
+    const response = await renderPage(store, key, data, metadata || {}, null, {
+      share: { token: shareToken, attachments: shared.link.attachments }
+    });
+    // Keep the token out of Referer headers and shared caches
+    response.headers.set('Referrer-Policy', 'no-referrer');
+    response.headers.set('Cache-Control', 'private, no-store');
+    return response;
+  }
+  
+  if (!data || !canView(session, metadata || {})) {
+    return new Response('Page not found', { 
+      status: 404, 
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' } 
+    });
+  }
+
+  return await renderPage(store, key, data, metadata || {}, session);
+}
+
+// Shared by page views, draft previews and share links. banner is shown
+// above the content; share ({token, attachments}) renders the page for a
+// share link holder, without the wiki's own navigation
+async function renderPage(store, key, data, metadata, session, { banner = '', share = null } = {}) {
+  // Attachment links only carry the token when the link grants attachments
+  const attachmentShare = share && share.attachments ? share.token : null;
+  const kind = getContentKind(data, metadata);
+
+  if (kind === 'file') {
+    const { fileName, mimeType, content } = JSON.parse(data);
+    
+    if (mimeType.startsWith('image/')) {
+      return serveImagePreview(content);
+    } else {
+      return serveFileDownload(fileName, mimeType, base64ToStream(content.split('base64,')[1]));
+    }
+  }
+
+  if (kind === 'json') {
+    // Data, not markup: never let a browser interpret it as a document
+    return new Response(data, { 
+      headers: { 'Content-Type': 'text/plain; charset=utf-8', 'X-Content-Type-Options': 'nosniff' } 
+    });
+  }
+
+  if (kind === 'html' && getRenderMode(metadata) === 'isolated') {
+    return new Response(rewriteAttachmentUrls(data, key, attachmentShare), { 
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Security-Policy': SANDBOX_POLICY,
+        'X-Content-Type-Options': 'nosniff'
+      } 
+    });
+  }
+
+  let renderedContent;
+  if (kind === 'html') {
+    renderedContent = sanitizeHtml(rewriteAttachmentUrls(data, key, attachmentShare));
+  } else {
+    const expanded = await expandMacros(store, data, key, metadata, session);
+    const existingPages = await findExistingPages(store, extractWikiLinks(expanded));
+    renderedContent = renderMarkdown(expanded, { existingPages, pageKey: key, share: attachmentShare });
+  }
+  const attachments = share && !share.attachments ? [] : await listAttachments(store, key);
+  const attachmentsHtml = attachments.length === 0 ? '' : `
+      <div class="attachments">
+        <h2>Attachments</h2>
+        <ul>
+          ${attachments.map(attachment => `<li><a href="${attachmentUrl(key, attachment.name, attachmentShare)}">${escapeHtml(attachment.name)}</a> (${formatSize(attachment.size)})</li>`).join('')}
+        </ul>
+      </div>`;
+  const backlinks = share ? [] : await filterVisiblePages(store, await listBacklinks(store, key), session);
+  // The discussion is for logged-in users, never for share link holders
+  const commentsHtml = session && !share
+    ? await renderComments(store, key, await listThreads(store, key), session, metadata, await csrfToken(session))
+    : '';
+  const backlinksHtml = backlinks.length === 0 ? '' : `
+      <div class="backlinks">
+        <h2>Pages that link here</h2>
+        <ul>
+          ${backlinks.map(source => `<li><a href="${pageUrl(source)}">${escapeHtml(decodeKey(source))}</a></li>`).join('')}
+        </ul>
+      </div>`;
+    
+  const pageMeta = metadata;
+  const pageInfo = [
+    pageMeta.updated ? `Last edited ${formatTime(pageMeta.updated)}${pageMeta.author ? ` by ${escapeHtml(pageMeta.author)}` : ''}` : '',
+    (pageMeta.tags || []).map(tag => share ? `#${escapeHtml(tag)}` : `<a href="/l?tag=${encodeURIComponent(tag)}">#${escapeHtml(tag)}</a>`).join(' ')
+  ].filter(Boolean).join(' · ');
+
+  const segments = key.split('/');
+  const breadcrumbs = segments.map((segment, index) => {
+    const label = escapeHtml(decodeKey(segment));
+    return index === segments.length - 1
+      ? `<span>${label}</span>`
+      : `<a href="${pageUrl(segments.slice(0, index + 1).join('/'))}">${label}</a>`;
+  }).join(' / ');
+    
+  const htmlResponse = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(pageMeta.title || pageTitle(key))}</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        pre {
+          background: #f8f8f8;
+          padding: 16px;
+          overflow-x: auto;
+        }
+        code {
+          background: #f8f8f8;
+          padding: 0 4px;
+        }
+        pre code {
+          padding: 0;
+        }
+        blockquote {
+          margin: 0;
+          padding-left: 16px;
+          border-left: 4px solid #ddd;
+          color: #555;
+        }
+        table {
+          border-collapse: collapse;
+        }
+        th, td {
+          border: 1px solid #ddd;
+          padding: 4px 8px;
+        }
+        img {
+          max-width: 100%;
+        }
+        a.missing {
+          color: #d00;
+        }
+        .backlinks,
+        .attachments {
+          margin-top: 40px;
+          border-top: 1px solid #eee;
+          font-size: 0.9em;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+        .breadcrumbs {
+          font-size: 0.9em;
+          color: #555;
+        }
+        .breadcrumbs a {
+          color: #555;
+        }
+        .page-info {
+          margin-top: 40px;
+          font-size: 0.85em;
+          color: #777;
+        }
+        .page-info a {
+          color: #555;
+        }
+        .banner {
+          padding: 8px 12px;
+          background: #fff8dc;
+          border: 1px solid #e6d9a8;
+        }
+        .banner form {
+          display: inline;
+        }
+        .comments {
+          margin-top: 40px;
+          border-top: 1px solid #eee;
+        }
+        .thread {
+          margin: 16px 0;
+          padding: 8px 12px;
+          border: 1px solid #eee;
+        }
+        .thread.resolved {
+          color: #777;
+        }
+        .comment {
+          padding: 6px 0;
+          border-bottom: 1px solid #f3f3f3;
+        }
+        .comment p {
+          margin: 4px 0;
+        }
+        .comment-meta,
+        .thread-state {
+          font-size: 0.8em;
+          color: #777;
+        }
+        .comments textarea {
+          box-sizing: border-box;
+          width: 100%;
+          height: 70px;
+          padding: 6px;
+          border: 1px solid #ddd;
+          font-family: inherit;
+        }
+        .comments form {
+          margin: 6px 0;
+        }
+        .comments .inline {
+          display: inline;
+        }
+        .comments details {
+          display: inline-block;
+          font-size: 0.8em;
+        }
+      </style>
+    </head>
+    <body>
+      ${share ? '' : `<nav class="breadcrumbs"><a href="/l">Pages</a> / ${breadcrumbs}</nav>
+      <div class="actions">
+        <a href="${pageUrl(key, 'edit')}">Edit</a>
+        <a href="${pageUrl(key, 'history')}">History</a>
+        <a href="${pageUrl(key, 'attachments')}">Attachments</a>
+        <a href="${pageUrl(key, 'rename')}">Rename</a>
+        <a href="${pageUrl(key, 'share')}">Share</a>
+        <a href="/l">All Pages</a>
+        <a href="/s">Search</a>
+      </div>`}
+      ${banner ? `<p class="banner">${banner}</p>` : ''}
+      ${renderedContent}
+      ${pageInfo ? `<p class="page-info">${pageInfo}</p>` : ''}
+      ${attachmentsHtml}
+      ${backlinksHtml}
+      ${commentsHtml}
+    </body>
+    </html>
+  `;
+  
+  return new Response(htmlResponse, { 
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Content-Security-Policy': PAGE_POLICY } 
+  });
+}
+
+function serveImagePreview(imageContent) {
+  const html = `<!DOCTYPE html>
+  <html>
+    <head>
+      <title>Image Preview</title>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+        img {
+          max-width: 100%;
+          height: auto;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="javascript:history.back()">Back</a>
+        <a href="/l">All Pages</a>
+      </div>
+      <img src="${imageContent}" alt="Image Preview">
+    </body>
+  </html>`;
+  
+  return new Response(html, { 
+    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+  });
+}
+
+function serveFileDownload(fileName, mimeType, body, { size, inline = false } = {}) {
+  const headers = {
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${encodeURIComponent(fileName)}"`,
+    'Content-Type': mimeType,
+    'X-Content-Type-Options': 'nosniff'
+  };
+
+  if (size !== undefined) {
+    headers['Content-Length'] = String(size);
+  }
+  
+  return new Response(body, { headers });
+}
+
+function base64ToStream(base64) {
+  // Decode in slices that are a multiple of 4 characters so each one is valid base64
+  const sliceLength = 64 * 1024;
+  let offset = 0;
+
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= base64.length) {
+        controller.close();
+        return;
+      }
+
+      const binary = atob(base64.slice(offset, offset + sliceLength));
+      offset += sliceLength;
+      controller.enqueue(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+  });
+}
+
+async function serveEditForm(store, key, csrf) {
+  const existing = await store.getWithMetadata(key, { type: "text" });
+  const draft = await getDraft(store, key);
+  // A pending draft is what the next save builds on
+  const data = draft ? draft.content : existing.value || "";
+  const settings = draft ? { ...(existing.metadata || {}), ...draft.settings } : existing.metadata || {};
+  
+  const encodedData = data
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+  
+  const form = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Edit Page</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        textarea {
+          width: 100%;
+          height: 300px;
+          margin: 10px 0;
+          padding: 8px;
+          border: 1px solid #ddd;
+          font-family: monospace;
+        }
+        input[type="file"] {
+          margin: 10px 0;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .draft {
+          padding: 8px 12px;
+          background: #fff8dc;
+          border: 1px solid #e6d9a8;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Edit "${escapeHtml(decodeKey(key))}"</h1>
+      ${draft ? `<p class="draft">Editing the draft saved by ${escapeHtml(draft.author)} at ${formatTime(draft.updated)}. <a href="${pageUrl(key, 'preview')}">Preview it</a>.</p>` : ''}
+      <form action="${pageUrl(key, 'edit')}" method="post" enctype="multipart/form-data">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="baseRev" value="${escapeHtml((existing.metadata || {}).rev || '')}">
+        <input type="hidden" name="baseDraft" value="${draft ? draft.updated : ''}">
+        <textarea name="content">${encodedData}</textarea>
+        <div>
+          <label for="file">Attach files (referenced as attachment:{name}; available right away, even from drafts):</label>
+          <input type="file" id="file" name="file" multiple>
+        </div>
+        ${renderPageSettingsFields(settings)}
+        ${renderPublishFields(draft)}
+      </form>
+    </body>
+    </html>
+  `;
+  
+  return new Response(form, { 
+    status: 200, 
+    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+  });
+}
+
+async function savePage(store, formData, key, session) {
+  try {
+    const settings = readPageSettings(formData, session);
+    if (settings.error) {
+      return new Response(settings.error, { status: 400 });
+    }
+
+    const asDraft = formData.get('publish') === 'draft';
+    const publishAt = readPublishAt(formData);
+    if (asDraft && publishAt === undefined) {
+      return new Response('Invalid publish time', { status: 400 });
+    }
+
+    const { content, merged, conflict } = await mergeConcurrentEdit(store, key, formData);
+    if (conflict) {
+      return serveEditConflict(key, formData, conflict);
+    }
+    
+    if (asDraft) {
+      await saveDraft(store, key, content, settings.metadata, session, publishAt);
+    } else {
+      await writePage(store, key, content, merged ? 'edit (merged)' : 'edit', { ...settings.metadata, author: session.user });
+      // Publishing directly supersedes any pending draft
+      await store.delete(sysKey('draft', key));
+    }
+    await recordAudit(store, session, asDraft ? 'draft' : 'edit', key, merged ? 'merged with a concurrent edit' : '');
+
+    // Attachments are not drafted: they are available as soon as they are uploaded
+    for (const file of formData.getAll('file')) {
+      if (file && typeof file !== 'string' && file.size > 0) {
+        await putAttachment(store, key, file, session);
+      }
+    }
+    
+    return new Response('', { 
+      status: 302,
+      headers: { 'Location': asDraft ? pageUrl(key, 'preview') : pageUrl(key) }
+    });
+  } catch (error) {
+    console.error('Error saving page:', error);
+    return new Response('Save failed', { status: 500 });
+  }
+}
+
+// The edit form records what it started from: the page's revision and, when
+// it loaded a draft, the draft's save time. If the page has moved on since,
+// the edit is merged line by line with the changes made in between. Returns
+// {content, merged} to save, or {conflict} when the edits overlap
+async function mergeConcurrentEdit(store, key, formData) {
+  const content = formData.get('content') || '';
+  const baseRev = formData.get('baseRev');
+  if (baseRev === null) {
+    // Not sent from the edit form, so there is nothing to compare with
+    return { content };
+  }
+
+  const baseDraft = formData.get('baseDraft') || '';
+  const draft = await getDraft(store, key);
+  const { value, metadata } = await store.getWithMetadata(key, { type: 'text' });
+  const pageMeta = metadata || {};
+  const current = draft ? draft.content : value || '';
+  const conflict = {
+    content: current,
+    author: draft ? draft.author : pageMeta.author,
+    updated: draft ? draft.updated : pageMeta.updated,
+    isDraft: Boolean(draft),
+    baseRev: pageMeta.rev || '',
+    baseDraft: draft ? String(draft.updated) : ''
+  };
+
+  if (conflict.baseDraft !== baseDraft) {
+    // Drafts keep no history, so a draft saved, published or discarded in
+    // the meantime leaves nothing to merge against
+    return current === content ? { content } : { conflict };
+  }
+  if (baseDraft || conflict.baseRev === baseRev || current === content) {
+    return { content };
+  }
+
+  const base = baseRev ? await getRevision(store, key, baseRev) : '';
+  const merged = base === null ? null : mergeLines(base, current, content);
+  return merged === null ? { conflict } : { content: merged, merged: true };
+}
+
+function serveEditConflict(key, formData, conflict) {
+  const decodedKey = decodeKey(key);
+  // Everything else the form sent (settings, publish choice) goes back
+  // unchanged; files are not kept and have to be attached again
+  const skipped = ['content', 'file', 'baseRev', 'baseDraft', CSRF_FIELD];
+  const hiddenFields = [...formData.entries()]
+    .filter(([name, value]) => !skipped.includes(name) && typeof value === 'string')
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n        ');
+  const droppedFiles = formData.getAll('file').filter(file => file && typeof file !== 'string' && file.size > 0);
+  const savedBy = [
+    conflict.author ? `by ${escapeHtml(conflict.author)}` : '',
+    conflict.updated ? `at ${formatTime(conflict.updated)}` : ''
+  ].filter(Boolean).join(' ');
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Edit Conflict</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 1100px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        .columns {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 20px;
+        }
+        pre,
+        textarea {
+          box-sizing: border-box;
+          width: 100%;
+          height: 400px;
+          margin: 0;
+          padding: 8px;
+          border: 1px solid #ddd;
+          font-family: monospace;
+          font-size: 0.9em;
+          overflow: auto;
+          white-space: pre-wrap;
+        }
+        pre {
+          background: #f8f8f8;
+        }
+        h2 {
+          font-size: 1em;
+        }
+        button {
+          margin-top: 10px;
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .warning {
+          padding: 8px 12px;
+          background: #fff8dc;
+          border: 1px solid #e6d9a8;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Edit Conflict: ${escapeHtml(decodedKey)}</h1>
+      <p class="warning">The ${conflict.isDraft ? 'draft' : 'page'} was changed ${savedBy} while you were editing, and the changes overlap with yours. Nothing has been saved. Copy what you need from the current version into yours, then save again, or <a href="${pageUrl(key)}">leave without saving</a>.</p>
+      ${droppedFiles.length > 0 ? `<p class="warning">Attach ${droppedFiles.map(file => escapeHtml(file.name)).join(', ')} again when you save: files are not kept across this screen.</p>` : ''}
+      <form action="${pageUrl(key, 'edit')}" method="post" enctype="multipart/form-data">
+        ${csrfInput(formData.get(CSRF_FIELD))}
+        <input type="hidden" name="baseRev" value="${escapeHtml(conflict.baseRev)}">
+        <input type="hidden" name="baseDraft" value="${escapeHtml(conflict.baseDraft)}">
+        ${hiddenFields}
+        <div class="columns">
+          <div>
+            <h2>Current version</h2>
+            <pre>${escapeHtml(conflict.content)}</pre>
+          </div>
+          <div>
+            <h2>Your version</h2>
+            <textarea name="content">${escapeHtml(formData.get('content') || '')}</textarea>
+          </div>
+        </div>
+        <input type="file" name="file" multiple>
+        <button type="submit">Save Your Version</button>
+      </form>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 409,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+// changes may carry author (the user saving) and, when copying a page as
+// rename and import do, its original created/updated times
+async function writePage(store, key, value, note = 'edit', changes = {}) {
+  const existing = await store.getWithMetadata(key, { type: 'text' });
+  // Writing to a redirect stub turns it back into a page
+  const { redirect, ...metadata } = existing.metadata || {};
+  const now = Date.now();
+
+  if (existing.value === value && metadata.rev) {
+    // Only settings changed: no new revision
+    const settings = { ...metadata, ...changes };
+    settings.kind = getContentKind(value, settings);
+    if (JSON.stringify({ ...settings, author: metadata.author }) === JSON.stringify(metadata)) {
+      // Saved without changing anything
+      return metadata.rev;
+    }
+
+    const updated = { ...settings, updated: changes.updated || now };
+    await store.put(key, value, { metadata: updated });
+    if (updated.kind !== metadata.kind || updated.title !== metadata.title || String(updated.tags) !== String(metadata.tags)) {
+      // Kind, title and tags all feed the link and search indexes
+      await updateLinkIndex(store, key, value, updated);
+      await updateSearchIndex(store, key, value, updated);
+    }
+    return metadata.rev;
+  }
+
+  if (existing.value !== null && !metadata.rev && !redirect) {
+    // Page predates revision history: keep what it held as the first revision
+    await putRevision(store, key, existing.value, 'before history');
+  }
+
+  const rev = await putRevision(store, key, value, note);
+  const updated = {
+    ...(existing.value === null ? { created: now } : {}),
+    ...metadata,
+    updated: now,
+    ...changes,
+    rev
+  };
+  // Recorded so listings can tell HTML pages apart without reading them
+  updated.kind = getContentKind(value, updated);
+  await store.put(key, value, { metadata: updated });
+  await updateLinkIndex(store, key, value, updated);
+  await updateSearchIndex(store, key, value, updated);
+  await updateFeed(store, key, { rev, time: updated.updated, author: updated.author || null, note }, metadata.rev);
+  return rev;
+}
+
+async function removePage(store, key) {
+  const { metadata } = await store.getWithMetadata(key);
+  for (const attachment of await listAttachments(store, key)) {
+    await deleteAttachment(store, key, attachment.name);
+  }
+  await store.delete(key);
+  await store.delete(sysKey('draft', key));
+  await deleteShareLinks(store, key);
+  await deleteComments(store, key);
+  await updateLinkIndex(store, key, null);
+  await updateSearchIndex(store, key, null);
+  await updateFeed(store, key, null, metadata && metadata.rev);
+}
+
+async function putRevision(store, key, value, note) {
+  const time = Date.now();
+  const random = crypto.getRandomValues(new Uint8Array(2));
+  const rev = String(time).padStart(13, '0') + '-' +
+    Array.from(random).map(b => b.toString(16).padStart(2, '0')).join('');
+
+  await store.put(sysKey('rev', key, rev), value, {
+    metadata: { time, size: value.length, note }
+  });
+  return rev;
+}
+
+function arrayBufferToBase64(buffer) {
+  let binary = '';
+  const bytes = new Uint8Array(buffer);
+  const byteLength = bytes.byteLength;
+  
+  for (let i = 0; i < byteLength; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  
+  return btoa(binary);
+}
+
+async function deletePage(store, key, session) {
+  try {
+    await trashPage(store, key, session);
+    await recordAudit(store, session, 'delete', key);
+    
+    return new Response('', { 
+      status: 302,
+      headers: { 'Location': '/l' }
+    });
+  } catch (error) {
+    console.error('Error deleting page:', error);
+    return new Response('Delete failed', { status: 500 });
+  }
+}
+
+async function confirmDeletePage(key, csrf) {
+  const decodedKey = decodeKey(key);
+  
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Confirm Delete</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        button {
+          padding: 8px 16px;
+          margin-right: 10px;
+          border: none;
+          cursor: pointer;
+        }
+        .delete {
+          background: #d00;
+          color: #fff;
+        }
+        .cancel {
+          background: #000;
+          color: #fff;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Confirm Delete</h1>
+      <p>Are you sure you want to delete "${escapeHtml(decodedKey)}"?</p>
+      <p>The page and its attachments move to the <a href="/trash">trash</a>, where they can be restored${TRASH_RETENTION_DAYS ? ` for ${TRASH_RETENTION_DAYS} days` : ''}.</p>
+      <div class="actions">
+        <form action="${pageUrl(key, 'delete')}" method="post" style="display: inline">
+          ${csrfInput(csrf)}
+          <button type="submit" class="delete">Move to Trash</button>
+        </form>
+        <a href="/${key}"><button class="cancel">Cancel</button></a>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  return new Response(page, { 
+    status: 200, 
+    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+  });
+}
+
+async function listPages(store, request, session) {
+  try {
+    const url = new URL(request.url);
+    const view = LIST_VIEWS.includes(url.searchParams.get('view')) ? url.searchParams.get('view') : LIST_VIEWS[0];
+    const tag = (url.searchParams.get('tag') || '').trim().toLowerCase();
+    const requestedSize = Number(url.searchParams.get('size'));
+    const size = LIST_PAGE_SIZES.includes(requestedSize) ? requestedSize : LIST_PAGE_SIZE;
+    const csrf = await csrfToken(session);
+    const drafts = hasRole(session, 'editor') ? await listDrafts(store, session) : [];
+    const options = { view, tag, size, drafts };
+    
+    if (view === 'tree' && !tag) {
+      // Name order is KV's own order, so this view pages with KV cursors.
+      // Cursors only go forward: the ones for earlier pages ride along in
+      // the query as "prev" so the previous link can go back
+      const cursor = url.searchParams.get('cursor') || '';
+      const trail = url.searchParams.getAll('prev');
+      const result = await store.list({ limit: size, cursor: cursor || undefined });
+      // Internal keys sort after every page, so reaching one means the pages are done
+      const done = result.list_complete || result.keys.some(key => isReservedKey(key.name));
+      const pageKeys = result.keys.filter(key =>
+        !isReservedKey(key.name) && canView(session, key.metadata || {})
+      );
+      
+      if (pageKeys.length === 0 && !cursor && done) {
+        return serveEmptyListPage(session, csrf);
+      }
+      
+      return serveListPage(pageKeys, session, csrf, {
+        ...options,
+        tags: pageKeys.flatMap(key => (key.metadata || {}).tags || []),
+        prev: cursor ? listUrl({ view, size, cursor: trail[trail.length - 1], prev: trail.slice(0, -1) }) : null,
+        next: done ? null : listUrl({ view, size, cursor: result.cursor, prev: [...trail, cursor] })
+      });
+    }
+    
+    // Sorting by time and filtering by tag need every page, so these views
+    // read the whole list and page by offset
+    const pageKeys = (await listPageKeys(store)).filter(key => canView(session, key.metadata || {}));
+    if (pageKeys.length === 0) {
+      return serveEmptyListPage(session, csrf);
+    }
+    
+    let shown = tag ? pageKeys.filter(key => ((key.metadata || {}).tags || []).includes(tag)) : pageKeys;
+    if (view === 'recent') {
+      const since = Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000;
+      shown = shown.filter(key => ((key.metadata || {}).updated || 0) >= since);
+    }
+    if (view !== 'tree') {
+      shown.sort((a, b) => ((b.metadata || {}).updated || 0) - ((a.metadata || {}).updated || 0));
+    }
+    
+    const pageNumber = Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1);
+    return serveListPage(shown.slice((pageNumber - 1) * size, pageNumber * size), session, csrf, {
+      ...options,
+      tags: pageKeys.flatMap(key => (key.metadata || {}).tags || []),
+      prev: pageNumber > 1 ? listUrl({ view, tag, size, page: pageNumber - 1 }) : null,
+      next: pageNumber * size < shown.length ? listUrl({ view, tag, size, page: pageNumber + 1 }) : null
+    });
+  } catch (error) {
+    console.error('Error listing pages:', error);
+    return new Response('Error listing pages', { 
+      status: 500, 
+      headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+    });
+  }
+}
+
+function serveEmptyListPage(session, csrf) {
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Pages</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        .create-new {
+          display: inline-block;
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          text-decoration: none;
+        }
+        .logout button {
+          margin-top: 20px;
+          padding: 0;
+          background: none;
+          border: none;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Pages</h1>
+      <p>No pages found</p>
+      ${hasRole(session, 'editor') ? '<a href="/new" class="create-new">Create New Page</a>' : ''}
+      <p>${hasRole(session, 'admin') ? '<a href="/users">Manage Users</a> · <a href="/audit">Audit Log</a> · <a href="/export">Export</a> · <a href="/import">Import</a> · ' : ''}${hasRole(session, 'editor') ? '<a href="/trash">Trash</a> · ' : ''}<a href="/tokens">API Tokens</a></p>
+      <form action="/logout" method="post" class="logout">
+        ${csrfInput(csrf)}
+        <button type="submit">Log Out</button>
+      </form>
+    </body>
+    </html>
+  `;
+  
+  return new Response(page, { 
+    status: 200, 
+    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+  });
+}
+
+function buildPageTree(keys) {
+  const root = { children: new Map() };
+
+  for (const key of keys) {
+    const segments = key.name.split('/');
+    let node = root;
+    segments.forEach((segment, index) => {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { segment, children: new Map() });
+      }
+      node = node.children.get(segment);
+    });
+    node.page = key;
+  }
+
+  return root;
+}
+
+function renderPageTree(node, session, options) {
+  const children = [...node.children.values()].sort((a, b) =>
+    decodeKey(a.segment).localeCompare(decodeKey(b.segment))
+  );
+
+  return children.map(child => {
+    const row = renderPageRow(child, session, options);
+    if (child.children.size === 0) {
+      return `<li>${row}</li>`;
+    }
+    return `<li><details open><summary>${row}</summary><ul>${renderPageTree(child, session, options)}</ul></details></li>`;
+  }).join('');
+}
+
+function renderPageList(keys, session, options) {
+  return keys
+    .map(key => `<li>${renderPageRow({ segment: key.name, page: key }, session, options)}</li>`)
+    .join('');
+}
+
+// Leaves out empty and default values; arrays become repeated parameters
+function listUrl(params) {
+  const query = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => query.append(name, item));
+    } else if (value && !(name === 'view' && value === LIST_VIEWS[0]) && !(name === 'size' && value === LIST_PAGE_SIZE)) {
+      query.set(name, value);
+    }
+  }
+  const text = query.toString();
+  return `/l${text ? `?${text}` : ''}`;
+}
+
+function renderPageRow(node, session, options) {
+  if (!node.page) {
+    return `<span class="row"><span class="folder">${escapeHtml(decodeKey(node.segment))}/</span></span>`;
+  }
+
+  const key = node.page;
+  const metadata = key.metadata || {};
+  const visibility = metadata.visibility || 'public';
+  const label = escapeHtml(metadata.title || decodeKey(node.segment));
+  const tags = (metadata.tags || []).map(tag =>
+    `<a class="tag" href="${escapeHtml(listUrl({ view: options.view, tag, size: options.size }))}">#${escapeHtml(tag)}</a>`
+  ).join(' ');
+  const changed = options.view !== 'tree' && metadata.updated
+    ? `<span class="changed">${formatTime(metadata.updated)}${metadata.author ? ` by ${escapeHtml(metadata.author)}` : ''}</span>`
+    : '';
+
+  if (isRedirect(metadata)) {
+    return `<span class="row">
+      <span>
+        <a href="${pageUrl(key.name)}">${label}</a>
+        <span class="badge">→ ${escapeHtml(decodeKey(metadata.redirect))}</span>
+      </span>
+      <span class="actions">
+        ${canEdit(session, metadata) ? `<a href="${pageUrl(key.name, 'delete')}">Delete</a>` : ''}
+      </span>
+    </span>`;
+  }
+
+  return `<span class="row">
+      <span>
+        <a href="${pageUrl(key.name)}">${label}</a>
+        ${visibility === 'public' ? '' : `<span class="badge">${visibility}</span>`}
+        ${hasRole(session, 'admin') && metadata.kind === 'html' ? `<span class="badge">html: ${getRenderMode(metadata)}</span>` : ''}
+        ${tags}
+        ${changed}
+      </span>
+      <span class="actions">
+        ${canEdit(session, metadata) ? `<a href="${pageUrl(key.name, 'edit')}">Edit</a>` : ''}
+        <a href="${pageUrl(key.name, 'history')}">History</a>
+        ${canEdit(session, metadata) ? `<a href="${pageUrl(key.name, 'delete')}">Delete</a>` : ''}
+      </span>
+    </span>`;
+}
+
+function serveListPage(keys, session, csrf, options) {
+  const { view, tag, size } = options;
+  const allTags = [...new Set(options.tags)].sort();
+
+  const listHtml = view === 'tree'
+    ? renderPageTree(buildPageTree(keys), session, options)
+    : renderPageList(keys, session, options);
+  const viewLabels = { tree: 'By name', updated: 'By last modified', recent: `Changed in the last ${RECENT_DAYS} days` };
+  const viewLinks = LIST_VIEWS.map(option => option === view
+    ? `<strong>${viewLabels[option]}</strong>`
+    : `<a href="${escapeHtml(listUrl({ view: option, tag, size }))}">${viewLabels[option]}</a>`
+  ).join(' · ');
+  const tagLinks = tag
+    ? `Tagged <strong>#${escapeHtml(tag)}</strong> · <a href="${escapeHtml(listUrl({ view, size }))}">All tags</a>`
+    : allTags.map(name => `<a class="tag" href="${escapeHtml(listUrl({ view, tag: name, size }))}">#${escapeHtml(name)}</a>`).join(' ');
+  const pagerLinks = [
+    options.prev ? `<a href="${escapeHtml(options.prev)}">← Previous</a>` : '',
+    options.next ? `<a href="${escapeHtml(options.next)}">Next →</a>` : ''
+  ].filter(Boolean).join(' · ');
+  const draftsHtml = options.drafts.length === 0 ? '' : `
+      <h2>Drafts</h2>
+      <ul>
+        ${options.drafts.map(draft => `<li><span class="row">
+          <span><a href="${pageUrl(draft.key, 'preview')}">${escapeHtml(decodeKey(draft.key))}</a>
+          <span class="changed">${draft.publishAt ? `Publishes ${formatTime(draft.publishAt)}` : 'Not scheduled'} · by ${escapeHtml(draft.author || '')}</span></span>
+        </span></li>`).join('')}
+      </ul>`;
+  const sizeOptions = LIST_PAGE_SIZES.map(option =>
+    `<option value="${option}"${option === size ? ' selected' : ''}>${option}</option>`
+  ).join('');
+  
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Pages</title>
+      <link rel="alternate" type="application/atom+xml" title="Recent changes" href="/feed.atom">
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        ul {
+          list-style: none;
+          padding: 0;
+        }
+        li ul {
+          padding-left: 20px;
+        }
+        .row {
+          padding: 8px 0;
+          border-bottom: 1px solid #eee;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        summary {
+          cursor: pointer;
+        }
+        summary .row {
+          display: inline-flex;
+          width: calc(100% - 20px);
+        }
+        .folder {
+          color: #555;
+        }
+        a {
+          color: #000;
+          text-decoration: none;
+        }
+        a:hover {
+          text-decoration: underline;
+        }
+        .actions {
+          font-size: 0.9em;
+        }
+        .actions a {
+          margin-left: 10px;
+        }
+        .create-new {
+          display: inline-block;
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          text-decoration: none;
+          margin-top: 20px;
+        }
+        .create-new:hover {
+          text-decoration: none;
+          opacity: 0.9;
+        }
+        .badge {
+          font-size: 0.75em;
+          padding: 0 6px;
+          margin-left: 6px;
+          border: 1px solid #999;
+          border-radius: 8px;
+          color: #555;
+        }
+        .search input {
+          width: 100%;
+          padding: 8px;
+          border: 1px solid #ddd;
+        }
+        .views,
+        .tags {
+          font-size: 0.9em;
+          color: #555;
+        }
+        a.tag {
+          font-size: 0.8em;
+          color: #555;
+          margin-left: 4px;
+        }
+        .changed {
+          display: block;
+          font-size: 0.8em;
+          color: #777;
+        }
+        .pager {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-size: 0.9em;
+        }
+        .pager a {
+          text-decoration: underline;
+        }
+        .logout button {
+          margin-top: 20px;
+          padding: 0;
+          background: none;
+          border: none;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Pages</h1>
+      <form action="/s" method="get" class="search">
+        <input type="search" name="q" placeholder="Search pages">
+      </form>
+      <p class="views">${viewLinks}</p>
+      ${tagLinks ? `<p class="tags">${tagLinks}</p>` : ''}
+      ${listHtml ? `<ul>${listHtml}</ul>` : '<p>No pages match.</p>'}
+      <div class="pager">
+        <span>${pagerLinks}</span>
+        <form method="get" action="/l">
+          ${view !== LIST_VIEWS[0] ? `<input type="hidden" name="view" value="${view}">` : ''}
+          ${tag ? `<input type="hidden" name="tag" value="${escapeHtml(tag)}">` : ''}
+          <label for="size">Per page:</label>
+          <select id="size" name="size">${sizeOptions}</select>
+          <button type="submit">Apply</button>
+        </form>
+      </div>
+      ${draftsHtml}
+      ${hasRole(session, 'editor') ? '<a href="/new" class="create-new">Create New Page</a>' : ''}
+      <p>${hasRole(session, 'admin') ? '<a href="/users">Manage Users</a> · <a href="/audit">Audit Log</a> · <a href="/export">Export</a> · <a href="/import">Import</a> · ' : ''}${hasRole(session, 'editor') ? '<a href="/trash">Trash</a> · ' : ''}<a href="/tokens">API Tokens</a></p>
+      <form action="/logout" method="post" class="logout">
+        ${csrfInput(csrf)}
+        <button type="submit">Log Out</button>
+      </form>
+    </body>
+    </html>
+  `;
+  
+  return new Response(page, { 
+    status: 200, 
+    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+  });
+}
+
+function confirmRenamePage(key, newName, csrf) {
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Rename Page</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        input[type="text"] {
+          width: 100%;
+          padding: 8px;
+          margin: 8px 0;
+          border: 1px solid #ddd;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        button {
+          padding: 8px 16px;
+          margin-right: 10px;
+          border: none;
+          cursor: pointer;
+          background: #000;
+          color: #fff;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Rename "${escapeHtml(decodeKey(key))}"</h1>
+      <form action="${pageUrl(key, 'rename')}" method="post">
+        ${csrfInput(csrf)}
+        <div>
+          <label for="newName">New name (use "/" for nested pages):</label>
+          <input type="text" id="newName" name="newName" value="${escapeHtml(newName || decodeKey(key))}" required>
+        </div>
+        <div>
+          <label><input type="checkbox" name="subtree"> Also move pages under "${escapeHtml(decodeKey(key))}/"</label>
+        </div>
+        <div>
+          <label><input type="checkbox" name="rewriteLinks"> Update [[links]] in pages that link here</label>
+        </div>
+        <div>
+          <label><input type="checkbox" name="force"> Overwrite existing pages (their history is kept)</label>
+        </div>
+        <p>The old name keeps redirecting to the new one.</p>
+        <div class="actions">
+          <button type="submit">Rename</button>
+          <a href="${pageUrl(key)}">Cancel</a>
+        </div>
+      </form>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+async function renamePage(store, oldKey, newKey, session, { subtree = false, force = false, rewriteLinks = false } = {}) {
+  try {
+    if (newKey === oldKey) {
+      return redirect(pageUrl(oldKey));
+    }
+
+    const moves = [];
+    const original = await store.getWithMetadata(oldKey);
+    if (original.value !== null && !isRedirect(original.metadata)) {
+      moves.push([oldKey, newKey]);
+    }
+
+    if (subtree) {
+      if (newKey.startsWith(`${oldKey}/`)) {
+        return new Response('Cannot move a page into its own subtree', { status: 400 });
+      }
+
+      for (const entry of await listPageKeys(store, `${oldKey}/`)) {
+        if (isRedirect(entry.metadata)) {
+          // Stubs left by earlier renames stay where they are
+          continue;
+        }
+        if (!canEdit(session, entry.metadata || {})) {
+          return new Response(`You cannot edit "${decodeKey(entry.name)}"`, { status: 403 });
+        }
+        moves.push([entry.name, newKey + entry.name.slice(oldKey.length)]);
+      }
+    }
+
+    if (moves.length === 0) {
+      return new Response('Original page not found', { 
+        status: 404,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    }
+
+    // Check every target before moving anything, so a conflict never leaves
+    // a subtree half moved
+    const overwritten = [];
+    for (const [, to] of moves) {
+      const target = await store.getWithMetadata(to);
+      if (target.value === null || isRedirect(target.metadata)) {
+        continue;
+      }
+      if (!force) {
+        return new Response(`"${decodeKey(to)}" already exists. Tick "Overwrite existing pages" to replace it.`, {
+          status: 409,
+          headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+        });
+      }
+      if (!canEdit(session, target.metadata || {})) {
+        return new Response(`You cannot edit "${decodeKey(to)}"`, { status: 403 });
+      }
+      overwritten.push(to);
+    }
+
+    for (const key of overwritten) {
+      await trashPage(store, key, session);
+      await recordAudit(store, session, 'delete', key, 'overwritten by rename');
+    }
+    for (const [from, to] of moves) {
+      await movePage(store, from, to);
+      await recordAudit(store, session, 'rename', from, `to ${decodeKey(to)}${rewriteLinks ? ', links rewritten' : ''}`);
+    }
+
+    if (rewriteLinks) {
+      for (const [from, to] of moves) {
+        await rewriteWikiLinks(store, from, to, session);
+      }
+    }
+    
+    return new Response('', { 
+      status: 302,
+      headers: { 'Location': pageUrl(newKey) }
+    });
+  } catch (error) {
+    console.error('Error renaming page:', error);
+    return new Response('Rename failed', { status: 500 });
+  }
+}
+
+function isRedirect(metadata) {
+  return Boolean(metadata && metadata.redirect);
+}
+
+async function movePage(store, oldKey, newKey) {
+  const { value: data, metadata } = await store.getWithMetadata(oldKey);
+  if (data === null) {
+    return;
+  }
+
+  // History moves first, so the rename is recorded on top of it
+  await moveRevisions(store, oldKey, newKey);
+  const { rev, ...settings } = metadata || {};
+  await writePage(store, newKey, data, `rename from ${decodeKey(oldKey)}`, settings);
+  await moveAttachments(store, oldKey, newKey);
+
+  const draft = await store.getWithMetadata(sysKey('draft', oldKey));
+  if (draft.value !== null) {
+    await store.put(sysKey('draft', newKey), draft.value, { metadata: draft.metadata });
+  }
+  await moveShareLinks(store, oldKey, newKey);
+  await moveComments(store, oldKey, newKey);
+
+  await removePage(store, oldKey);
+  // Keep old links and bookmarks working, for the same readers as before
+  await store.put(oldKey, '', {
+    metadata: { redirect: newKey, visibility: settings.visibility, allowed: settings.allowed }
+  });
+}
+
+async function moveRevisions(store, oldKey, newKey) {
+  for (const { rev } of await listRevisions(store, oldKey)) {
+    const { value, metadata } = await store.getWithMetadata(sysKey('rev', oldKey, rev), { type: 'text' });
+    if (value !== null) {
+      await store.put(sysKey('rev', newKey, rev), value, { metadata });
+      await store.delete(sysKey('rev', oldKey, rev));
+    }
+  }
+}
+
+// Points [[links]] at the new name. Pages the user can't edit are left
+// alone; the redirect stub keeps their links working
+async function rewriteWikiLinks(store, oldKey, newKey, session) {
+  const newName = decodeKey(newKey);
+
+  for (const source of await listBacklinks(store, oldKey)) {
+    const { value, metadata } = await store.getWithMetadata(source, { type: 'text' });
+    if (value === null || !canEdit(session, metadata || {})) {
+      continue;
+    }
+
+    const rewritten = value.replace(/\[\[([^\]|]+)(\|[^\]]*)?\]\]/g, (match, target, label) =>
+      pageKeyFromName(target) === oldKey ? `[[${newName}${label || ''}]]` : match
+    );
+    if (rewritten !== value) {
+      await writePage(store, source, rewritten, `links to ${newName}`, { author: session.user });
+    }
+  }
+}
+
+async function listPageKeys(store, prefix = '') {
+  const keys = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      if (!isReservedKey(entry.name)) {
+        keys.push(entry);
+      }
+    }
+    // Internal keys sort after every page, so there is nothing left to find
+    const done = result.list_complete || result.keys.some(entry => isReservedKey(entry.name));
+    cursor = done ? null : result.cursor;
+  } while (cursor);
+
+  return keys;
+}
+
+async function listRevisions(store, key) {
+  const prefix = sysKey('rev', key) + ':';
+  const revisions = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      revisions.push({ rev: entry.name.slice(prefix.length), ...(entry.metadata || {}) });
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return revisions.reverse();
+}
+
+function isRevisionId(rev) {
+  return /^\d{13}-[0-9a-f]{4}$/.test(rev);
+}
+
+async function getRevision(store, key, rev) {
+  if (!isRevisionId(rev)) {
+    return null;
+  }
+  return await store.get(sysKey('rev', key, rev), { type: 'text' });
+}
+
+async function serveHistoryPage(store, request, key) {
+  const url = new URL(request.url);
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
+  const revisions = await listRevisions(store, key);
+
+  let diffHtml = '';
+  if (from && to) {
+    const [oldText, newText] = await Promise.all([getRevision(store, key, from), getRevision(store, key, to)]);
+
+    if (oldText === null || newText === null) {
+      return new Response('Revision not found', {
+        status: 404,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    }
+
+    const lines = diffLines(oldText, newText).map(({ op, line }) => {
+      const cls = op === '+' ? 'add' : op === '-' ? 'del' : 'same';
+      return `<span class="${cls}">${op} ${escapeHtml(line)}</span>`;
+    }).join('\n');
+
+    diffHtml = `
+      <h2>Changes from ${escapeHtml(from)} to ${escapeHtml(to)}</h2>
+      <pre class="diff">${lines}</pre>
+    `;
+  }
+
+  const rows = revisions.map((revision, index) => `
+    <tr>
+      <td><input type="radio" name="from" value="${revision.rev}" ${index === 1 ? 'checked' : ''}></td>
+      <td><input type="radio" name="to" value="${revision.rev}" ${index === 0 ? 'checked' : ''}></td>
+      <td><a href="${pageUrl(key, 'history', { rev: revision.rev })}">${formatTime(revision.time)}</a></td>
+      <td>${revision.size}</td>
+      <td>${escapeHtml(revision.note || '')}</td>
+    </tr>`
+  ).join('');
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>History of ${escapeHtml(decodeKey(key))}</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        td, th {
+          padding: 4px 6px;
+          border-bottom: 1px solid #eee;
+          text-align: left;
+        }
+        pre {
+          background: #f8f8f8;
+          padding: 16px;
+          overflow-x: auto;
+        }
+        .add {
+          background: #e6ffec;
+        }
+        .del {
+          background: #ffebe9;
+        }
+        button {
+          padding: 8px 16px;
+          margin-top: 10px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/${key}">Back to Page</a>
+        <a href="/l">All Pages</a>
+      </div>
+      <h1>History of "${escapeHtml(decodeKey(key))}"</h1>
+      ${diffHtml}
+      ${revisions.length === 0 ? '<p>No revisions recorded</p>' : `
+      <form method="get" action="${pageUrl(key)}">
+        <input type="hidden" name="action" value="history">
+        <table>
+          <tr><th>From</th><th>To</th><th>Saved</th><th>Size</th><th>Note</th></tr>
+          ${rows}
+        </table>
+        <button type="submit">Compare</button>
+      </form>`}
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+async function serveRevision(store, key, rev, csrf) {
+  const data = await getRevision(store, key, rev);
+
+  if (data === null) {
+    return new Response('Revision not found', {
+      status: 404,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+  }
+
+  let content = data;
+  try {
+    const parsedData = JSON.parse(data);
+    if (parsedData && parsedData.fileName) {
+      content = `[File: ${parsedData.fileName} (${parsedData.mimeType})]`;
+    }
+  } catch (e) {
+    // Plain text or HTML revision
+  }
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Revision ${escapeHtml(rev)}</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        pre {
+          background: #f8f8f8;
+          padding: 16px;
+          overflow-x: auto;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="${pageUrl(key, 'history')}">Back to History</a>
+        <a href="/${key}">Current Version</a>
+      </div>
+      <h1>"${escapeHtml(decodeKey(key))}" at ${formatTime(Number(rev.slice(0, 13)))}</h1>
+      <pre>${escapeHtml(content)}</pre>
+      ${csrf ? `
+      <form action="${pageUrl(key, 'history', { rev })}" method="post">
+        ${csrfInput(csrf)}
+        <button type="submit">Restore This Revision</button>
+      </form>` : ''}
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+async function restoreRevision(store, key, rev, session) {
+  try {
+    const data = await getRevision(store, key, rev);
+
+    if (data === null) {
+      return new Response('Revision not found', {
+        status: 404,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    }
+
+    await writePage(store, key, data, `restore ${rev}`, { author: session.user });
+    await recordAudit(store, session, 'restore', key, rev);
+
+    return new Response('', {
+      status: 302,
+      headers: { 'Location': pageUrl(key) }
+    });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    return new Response('Restore failed', { status: 500 });
+  }
+}
+
+// Lines two arrays have in common, as [indexInA, indexInB] pairs. The common
+// prefix and suffix are matched directly and Myers' algorithm matches what is
+// left, in O((n + m) * d) time for d changed lines. Past DIFF_MAX_EDITS
+// changes the middle is treated as replaced outright, which keeps huge
+// rewrites within a Worker's CPU and memory limits
+function matchLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const pairs = [];
+  for (let i = 0; i < start; i++) {
+    pairs.push([i, i]);
+  }
+
+  pairs.push(...matchMiddle(a.slice(start, endA), b.slice(start, endB))
+    .map(([i, j]) => [start + i, start + j]));
+
+  for (let k = 0; k < a.length - endA; k++) {
+    pairs.push([endA + k, endB + k]);
+  }
+
+  return pairs;
+}
+
+function matchMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, DIFF_MAX_EDITS);
+  const offset = limit + 1;
+  // v[offset + k] is the furthest x reached on diagonal k = x - y
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrackMatches(a, b, trace, d);
+      }
+    }
+  }
+
+  return [];
+}
+
+// Walks the recorded steps back from the end, collecting the diagonal moves
+function backtrackMatches(a, b, trace, edits) {
+  const pairs = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = edits; d > 0; d--) {
+    // trace[d] holds diagonals -d - 1 .. d + 1 as they were before step d
+    const furthest = k => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && furthest(k - 1) < furthest(k + 1)) ? k + 1 : k - 1;
+    const prevX = furthest(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      pairs.push([x, y]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    pairs.push([x, y]);
+  }
+
+  return pairs.reverse();
+}
+
+function diffLines(oldText, newText) {
+  const a = oldText.split(/\r?\n/);
+  const b = newText.split(/\r?\n/);
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  for (const [matchA, matchB] of [...matchLines(a, b), [a.length, b.length]]) {
+    while (i < matchA) {
+      ops.push({ op: '-', line: a[i++] });
+    }
+    while (j < matchB) {
+      ops.push({ op: '+', line: b[j++] });
+    }
+    if (i < a.length && j < b.length) {
+      ops.push({ op: ' ', line: a[i++] });
+      j++;
+    }
+  }
+
+  return ops;
+}
+
+// Three-way merge: lines that match in all three texts split them into
+// chunks, and each chunk takes whichever side changed it. Returns null when
+// both sides changed the same chunk differently
+function mergeLines(baseText, currentText, mineText) {
+  const base = baseText.split(/\r?\n/);
+  const current = currentText.split(/\r?\n/);
+  const mine = mineText.split(/\r?\n/);
+  const inCurrent = new Map(matchLines(base, current));
+  const inMine = new Map(matchLines(base, mine));
+  const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+  const syncPoints = base
+    .map((line, index) => [index, inCurrent.get(index), inMine.get(index)])
+    .filter(([, c, m]) => c !== undefined && m !== undefined);
+  syncPoints.push([base.length, current.length, mine.length]);
+
+  const result = [];
+  let b = 0;
+  let c = 0;
+  let m = 0;
+  for (const [nextB, nextC, nextM] of syncPoints) {
+    const baseChunk = base.slice(b, nextB);
+    const currentChunk = current.slice(c, nextC);
+    const mineChunk = mine.slice(m, nextM);
+
+    if (sameLines(mineChunk, baseChunk) || sameLines(mineChunk, currentChunk)) {
+      result.push(...currentChunk);
+    } else if (sameLines(currentChunk, baseChunk)) {
+      result.push(...mineChunk);
+    } else {
+      return null;
+    }
+
+    if (nextB < base.length) {
+      result.push(base[nextB]);
+    }
+    b = nextB + 1;
+    c = nextC + 1;
+    m = nextM + 1;
+  }
+
+  // Browsers send textareas with CRLF line breaks; keep whatever the editor sent
+  return result.join(mineText.includes('\r\n') ? '\r\n' : '\n');
+}
+
+function getContentKind(data, metadata = {}) {
+  if (metadata.contentType === 'text/markdown') {
+    return 'text';
+  }
+  if (metadata.contentType === 'text/html') {
+    return 'html';
+  }
+
+  try {
+    const parsedData = JSON.parse(data);
+    return parsedData && parsedData.fileName ? 'file' : 'json';
+  } catch (e) {
+    return HTML_PATTERN.test(data) ? 'html' : 'text';
+  }
+}
+
+function pageKeyFromName(name) {
+  return name.split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .map(encodePathSegment)
+    .join('/');
+}
+
+function pageTitle(key) {
+  return decodeKey(key.slice(key.lastIndexOf('/') + 1));
+}
+
+function extractWikiLinks(text) {
+  const targets = new Set();
+  for (const match of text.matchAll(/\[\[([^\]|]+)(?:\|[^\]]*)?\]\]/g)) {
+    const target = pageKeyFromName(match[1]);
+    if (target && !isReservedKey(target)) {
+      targets.add(target);
+    }
+  }
+  return [...targets];
+}
+
+async function findExistingPages(store, keys) {
+  const found = await Promise.all(keys.map(async key => (await store.get(key)) !== null ? key : null));
+  return new Set(found.filter(Boolean));
+}
+
+async function updateLinkIndex(store, key, value, metadata = {}) {
+  const forwardKey = sysKey('links', key);
+  const previous = await store.get(forwardKey, { type: 'json' }) || [];
+  const current = value !== null && getContentKind(value, metadata) === 'text' ? extractWikiLinks(value) : [];
+
+  const removed = previous.filter(target => !current.includes(target));
+  const added = current.filter(target => !previous.includes(target));
+
+  await Promise.all([
+    ...removed.map(target => store.delete(sysKey('backlink', target, key))),
+    ...added.map(target => store.put(sysKey('backlink', target, key), ''))
+  ]);
+
+  if (current.length > 0) {
+    await store.put(forwardKey, JSON.stringify(current));
+  } else if (previous.length > 0) {
+    await store.delete(forwardKey);
+  }
+}
+
+async function listBacklinks(store, key) {
+  const prefix = sysKey('backlink', key) + ':';
+  const sources = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      sources.push(decodeURIComponent(entry.name.slice(prefix.length)));
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return sources.sort((a, b) => decodeKey(a).localeCompare(decodeKey(b)));
+}
+
+const MACRO_PATTERN = /\{\{\s*(include:[^}]*|toc|pages(?:\s+prefix=(?:"[^"]*"|[^\s}]*))?|updated)\s*\}\}/g;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+// Expands macros into Markdown before rendering. Includes, {{pages}} and
+// {{updated}} are expanded in each page's own text, so an included page
+// lists its own subpages and edit time; {{toc}} is expanded once, over
+// everything that ends up on the page. Only the viewer's visible pages are
+// included or listed
+async function expandMacros(store, text, key, metadata, session) {
+  const expanded = await expandPageMacros(store, text, key, metadata, session, { reads: 0 }, [key]);
+
+  const headings = [];
+  await mapOutsideFences(expanded, line => {
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      headings.push({ level: heading[1].length, text: heading[2] });
+    }
+    return line;
+  });
+  const topLevel = Math.min(...headings.map(heading => heading.level));
+  const toc = headings.map(heading => {
+    // Links can't nest, so the entry keeps only the heading's text
+    const label = heading.text
+      .replace(/\[\[([^\]|]+)(?:\|([^\]]*))?\]\]/g, (match, target, text) => text || target)
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[\[\]]/g, '');
+    return `${'  '.repeat(heading.level - topLevel)}- [${label}](#${slugify(heading.text)})`;
+  }).join('\n');
+
+  return await mapOutsideFences(expanded, line => line.replace(MACRO_PATTERN, (match, body) => body === 'toc' ? toc : match));
+}
+
+// state.reads counts includes across the whole page; stack holds the pages
+// being expanded, outermost first, to catch include cycles
+async function expandPageMacros(store, text, key, metadata, session, state, stack) {
+  return await mapOutsideFences(text, async line => {
+    let result = '';
+    let last = 0;
+    for (const match of line.matchAll(MACRO_PATTERN)) {
+      result += line.slice(last, match.index) + await expandMacro(store, match[1], key, metadata, session, state, stack);
+      last = match.index + match[0].length;
+    }
+    return result + line.slice(last);
+  });
+}
+
+async function expandMacro(store, body, key, metadata, session, state, stack) {
+  if (body === 'toc') {
+    // Left for expandMacros; an included page's own table of contents is dropped
+    return stack.length === 1 ? '{{toc}}' : '';
+  }
+
+  if (body === 'updated') {
+    return metadata.updated ? formatTime(metadata.updated) : '';
+  }
+
+  if (body.startsWith('pages')) {
+    const option = body.match(/prefix=(?:"([^"]*)"|(\S*))/);
+    const name = option ? (option[1] !== undefined ? option[1] : option[2]).trim() : '';
+    const prefix = pageKeyFromName(name) + (name.endsWith('/') ? '/' : '');
+    const pages = (await listPageKeys(store, prefix)).filter(entry =>
+      entry.name !== key && !isRedirect(entry.metadata) && canView(session, entry.metadata || {})
+    );
+    if (pages.length === 0) {
+      return `*No pages${name ? ` under "${name}"` : ''}*`;
+    }
+    const items = pages.slice(0, PAGES_MACRO_LIMIT).map(entry => {
+      const title = ((entry.metadata || {}).title || '').replace(/[\[\]|]/g, '');
+      return `- [[${decodeKey(entry.name)}${title ? `|${title}` : ''}]]`;
+    });
+    if (pages.length > PAGES_MACRO_LIMIT) {
+      items.push(`- *and ${pages.length - PAGES_MACRO_LIMIT} more*`);
+    }
+    return items.join('\n');
+  }
+
+  const name = body.slice('include:'.length).trim();
+  let target = pageKeyFromName(name);
+  if (!target || isReservedKey(target)) {
+    return `*Not included: "${name}" is not a page name*`;
+  }
+  if (stack.length > INCLUDE_MAX_DEPTH) {
+    return `*Not included: [[${name}]] is nested more than ${INCLUDE_MAX_DEPTH} includes deep*`;
+  }
+  if (state.reads >= INCLUDE_LIMIT) {
+    return `*Not included: [[${name}]], this page already includes ${INCLUDE_LIMIT} pages*`;
+  }
+
+  state.reads++;
+  let page = await store.getWithMetadata(target, { type: 'text' });
+  if (isRedirect(page.metadata)) {
+    // Follow one rename
+    target = page.metadata.redirect;
+    page = await store.getWithMetadata(target, { type: 'text' });
+  }
+  const pageMeta = page.metadata || {};
+
+  if (stack.includes(target)) {
+    return `*Not included: [[${name}]] would include itself*`;
+  }
+  if (page.value === null || !canView(session, pageMeta)) {
+    return `*Not included: [[${name}]] does not exist*`;
+  }
+  if (getContentKind(page.value, pageMeta) !== 'text') {
+    return `*Not included: [[${name}]] is not a text page*`;
+  }
+  return await expandPageMacros(store, page.value, target, pageMeta, session, state, [...stack, target]);
+}
+
+// Applies fn (which may be async) to every line outside fenced code blocks
+async function mapOutsideFences(text, fn) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let fence = null;
+
+  for (const line of lines) {
+    const marker = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      if (marker && marker[1] === fence) {
+        fence = null;
+      }
+      out.push(line);
+    } else if (marker) {
+      fence = marker[1];
+      out.push(line);
+    } else {
+      out.push(await fn(line));
+    }
+  }
+
+  return out.join('\n');
+}
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function renderMarkdown(text, context = {}) {
+  const lines = text.replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+  return renderMarkdownBlocks(lines, context);
+}
+
+function isMarkdownBlockStart(line) {
+  return /^\s*(```|~~~)/.test(line) ||
+    /^#{1,6}\s/.test(line) ||
+    /^\s{0,3}>/.test(line) ||
+    /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+    LIST_ITEM_PATTERN.test(line);
+}
+
+function renderMarkdownBlocks(lines, context) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(/^\s*(```|~~~)\s*([\w-]*)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i++]);
+      }
+      i++;
+      const langClass = fence[2] ? ` class="language-${fence[2]}"` : '';
+      html.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level} id="${slugify(heading[2])}">${renderMarkdownInline(heading[2], context)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+        quoted.push(lines[i++].replace(/^\s{0,3}>\s?/, ''));
+      }
+      html.push(`<blockquote>${renderMarkdownBlocks(quoted, context)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const list = renderMarkdownList(lines, i, context);
+      html.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1])) {
+      const splitRow = row => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+      const header = splitRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(splitRow(lines[i++]));
+      }
+      const cells = (row, tag) => row.map(cell => `<${tag}>${renderMarkdownInline(cell, context)}</${tag}>`).join('');
+      html.push(`<table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`);
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() !== '' && !isMarkdownBlockStart(lines[i])) {
+      paragraph.push(lines[i++].trim());
+    }
+    html.push(`<p>${renderMarkdownInline(paragraph.join('\n'), context)}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+function renderMarkdownList(lines, start, context) {
+  const first = lines[start].match(LIST_ITEM_PATTERN);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(LIST_ITEM_PATTERN);
+    const leading = line.match(/^\s*/)[0].length;
+
+    if (match && leading === indent && /\d/.test(match[2]) === ordered) {
+      items.push([match[3]]);
+      i++;
+    } else if (line.trim() === '') {
+      const next = lines[i + 1];
+      const nextMatch = next !== undefined && next.match(LIST_ITEM_PATTERN);
+      const continues = nextMatch && nextMatch[1].length === indent && /\d/.test(nextMatch[2]) === ordered;
+      if (next !== undefined && next.trim() !== '' && (next.match(/^\s*/)[0].length > indent || continues)) {
+        items[items.length - 1].push('');
+        loose = true;
+        i++;
+      } else {
+        break;
+      }
+    } else if (leading > indent) {
+      items[items.length - 1].push(line.slice(Math.min(leading, indent + 2)));
+      i++;
+    } else if (!isMarkdownBlockStart(line)) {
+      items[items.length - 1].push(line.trim());
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && parseInt(first[2], 10) !== 1 ? ` start="${parseInt(first[2], 10)}"` : '';
+  const itemsHtml = items.map(itemLines => {
+    const task = itemLines[0].match(/^\[([ xX])\]\s+/);
+    const checkbox = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+    if (task) {
+      itemLines[0] = itemLines[0].slice(task[0].length);
+    }
+
+    let content = renderMarkdownBlocks(itemLines, context);
+    if (!loose) {
+      content = content.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+    }
+    return `<li>${checkbox}${content}</li>`;
+  }).join('\n');
+
+  return { html: `<${tag}${startAttr}>\n${itemsHtml}\n</${tag}>`, next: i };
+}
+
+// Link labels are rendered with the same stash, as code spans and wiki links
+// in them were stashed before the label was pulled out
+function renderMarkdownInline(text, context, stashed = []) {
+  const stash = html => `\u0000${stashed.push(html) - 1}\u0000`;
+
+  let out = text
+    .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\[\[([^\]|]+)(?:\|([^\]]*))?\]\]/g, (match, target, label) => {
+      const key = pageKeyFromName(target);
+      const linkText = escapeHtml((label || target).trim());
+      return context.existingPages && context.existingPages.has(key)
+        ? stash(`<a href="${pageUrl(key)}">${linkText}</a>`)
+        : stash(`<a class="missing" href="${pageUrl(key, 'edit')}" title="Create this page">${linkText}</a>`);
+    })
+    .replace(/!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (match, alt, url, title) =>
+      stash(`<img src="${escapeHtml(resolveUrl(url, context))}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`)
+    )
+    .replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) =>
+      stash(`<a href="${escapeHtml(resolveUrl(url, context))}"${title ? ` title="${escapeHtml(title)}"` : ''}>${renderMarkdownInline(label, context, stashed)}</a>`)
+    )
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) =>
+      stash(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`)
+    );
+
+  out = escapeHtml(out)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?=\W|$)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br>\n');
+
+  return out.replace(/\u0000(\d+)\u0000/g, (match, index) => stashed[index]);
+}
+
+function resolveUrl(url, context) {
+  if (url.startsWith('attachment:') && context.pageKey) {
+    return attachmentUrl(context.pageKey, url.slice('attachment:'.length), context.share);
+  }
+  return safeUrl(url);
+}
+
+function safeUrl(url) {
+  // Browsers drop tabs and newlines inside URLs, so "java\tscript:" is still a scheme
+  const plain = url.replace(/[\u0000-\u0020\u007f]/g, '');
+  return /^(https?:|mailto:|\/|#|\.)/i.test(plain) || !/^[a-z][a-z0-9+.-]*:/i.test(plain) ? url : '#';
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[`*_~\[\]()]/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+// Rebuilds HTML from allowlisted tags and attributes only. Everything that is
+// emitted is re-serialized here, so markup the tokenizer doesn't recognise
+// ends up as escaped text rather than reaching the browser
+function sanitizeHtml(html) {
+  const tagPattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const escapeText = text => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const open = [];
+  let out = '';
+  let last = 0;
+  let match;
+
+  while ((match = tagPattern.exec(html))) {
+    out += escapeText(html.slice(last, match.index));
+    last = tagPattern.lastIndex;
+
+    const [, closing, tagName, attributes] = match;
+    if (!tagName) {
+      // Comment, doctype or processing instruction
+      continue;
+    }
+
+    const name = tagName.toLowerCase();
+    if (SANITIZER_DROP_CONTENT.includes(name)) {
+      if (!closing) {
+        const end = new RegExp(`</${name}\\s*>`, 'ig');
+        end.lastIndex = last;
+        last = tagPattern.lastIndex = end.exec(html) ? end.lastIndex : html.length;
+      }
+      continue;
+    }
+    if (!SANITIZER_TAGS.includes(name)) {
+      continue;
+    }
+
+    if (closing) {
+      const index = open.lastIndexOf(name);
+      if (index !== -1) {
+        out += open.splice(index).reverse().map(tag => `</${tag}>`).join('');
+      }
+    } else {
+      out += `<${name}${sanitizeAttributes(name, attributes)}>`;
+      if (!SANITIZER_VOID_TAGS.includes(name)) {
+        open.push(name);
+      }
+    }
+  }
+
+  out += escapeText(html.slice(last));
+  return out + open.reverse().map(tag => `</${tag}>`).join('');
+}
+
+function sanitizeAttributes(tag, source) {
+  const allowed = [...SANITIZER_ATTRIBUTES['*'], ...(SANITIZER_ATTRIBUTES[tag] || [])];
+  const attributePattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const seen = new Set();
+  let out = '';
+
+  for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of source.matchAll(attributePattern)) {
+    const name = rawName.toLowerCase();
+    if (!allowed.includes(name) || seen.has(name)) {
+      continue;
+    }
+    seen.add(name);
+
+    let value = decodeHtmlEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    if (['href', 'src', 'cite'].includes(name)) {
+      value = safeUrl(value);
+    }
+    out += ` ${name}="${escapeHtml(value)}"`;
+  }
+
+  return out;
+}
+
+function decodeHtmlEntities(text) {
+  // Entities missing here stay literal and are escaped again on output, so a
+  // browser can never decode them into something that wasn't checked
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', colon: ':', tab: '\t', newline: '\n' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] !== '#') {
+      return named[entity.toLowerCase()] ?? match;
+    }
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+  });
+}
+
+function tokenize(text) {
+  const tokens = [];
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    // CJK text has no spaces between words, so index it as overlapping character pairs
+    const cjkRuns = word.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu);
+    for (const run of cjkRuns) {
+      if (/^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(run)) {
+        const chars = [...run];
+        if (chars.length === 1) {
+          tokens.push(run);
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+          tokens.push(chars[i] + chars[i + 1]);
+        }
+      } else if ((run.length > 1 || /\d/.test(run)) && run.length <= SEARCH_TERM_LENGTH) {
+        tokens.push(run);
+      }
+    }
+  }
+  return tokens;
+}
+
+function getSearchableText(key, value, metadata = {}) {
+  const kind = getContentKind(value, metadata);
+  if (kind === 'file') {
+    return null;
+  }
+
+  const text = kind === 'html'
+    ? value.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/&[a-z#0-9]+;/gi, ' ')
+    : value;
+  const heading = [decodeKey(key), metadata.title, ...(metadata.tags || [])].filter(Boolean).join(' ');
+  return `${heading}\n${text}`;
+}
+
+function searchTermPrefix(term) {
+  return `${sysKey('idx', 'term', term)}:`;
+}
+
+// A page's postings are "~idx:term:{term}:{page}" keys with the term count
+// and the page's length in the KV metadata, so a search lists only the
+// terms it asks for. "~idx:doc:{page}" remembers the terms last indexed, so
+// a save only writes the postings whose count changed; the others keep the
+// length they were written with. Saves of different pages never write the
+// same key, except "~idx:stats" (page count and total length), which
+// concurrent saves can leave a little off until the next rebuild. Returns
+// the page's indexed length, 0 when nothing was indexed
+async function updateSearchIndex(store, key, value, metadata = {}, { rebuild = false } = {}) {
+  const docKey = sysKey('idx', 'doc', key);
+  // Records of the earlier layout are empty and count as nothing indexed
+  const stored = await store.get(docKey);
+  const previous = stored ? JSON.parse(stored) : null;
+  const text = value === null ? null : getSearchableText(key, value, metadata);
+  const tokens = text === null ? [] : tokenize(text);
+
+  const counts = {};
+  for (const term of tokens) {
+    counts[term] = (counts[term] || 0) + 1;
+  }
+  // The most frequent terms, heading first among equals, bound the writes a save makes
+  const terms = Object.fromEntries(Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, SEARCH_TERMS_PER_PAGE));
+  const before = previous ? previous.terms : {};
+
+  await Promise.all([
+    ...Object.keys(terms)
+      .filter(term => rebuild || before[term] !== terms[term])
+      .map(term => store.put(searchTermPrefix(term) + encodeURIComponent(key), '', {
+        metadata: { tf: terms[term], length: tokens.length }
+      })),
+    ...Object.keys(before)
+      .filter(term => !terms[term])
+      .map(term => store.delete(searchTermPrefix(term) + encodeURIComponent(key)))
+  ]);
+
+  const indexed = Object.keys(terms).length > 0;
+  if (indexed) {
+    await store.put(docKey, JSON.stringify({ length: tokens.length, terms }));
+  } else if (stored !== null) {
+    await store.delete(docKey);
+  }
+
+  // A rebuild counts the pages itself and writes the stats at the end
+  if (!rebuild && (indexed || previous)) {
+    const statsKey = sysKey('idx', 'stats');
+    const stats = await store.get(statsKey, { type: 'json' }) || { docs: 0, length: 0 };
+    stats.docs += (indexed ? 1 : 0) - (previous ? 1 : 0);
+    stats.length += (indexed ? tokens.length : 0) - (previous ? previous.length : 0);
+    await store.put(statsKey, JSON.stringify(stats));
+  }
+  return indexed ? tokens.length : 0;
+}
+
+// Clears out keys of earlier index layouts, reindexes pages one batch at a
+// time, drops the records of pages that no longer exist and writes the
+// stats. Returns where the next batch starts, or null when done
+async function rebuildSearchIndex(store, { phase = 'legacy', cursor, skip = 0, docs = 0, length = 0 } = {}) {
+  const counted = countingStore(store);
+  const docPrefix = `${sysKey('idx', 'doc')}:`;
+  const prefixes = { legacy: `${sysKey('idx')}:`, pages: undefined, orphans: docPrefix };
+
+  for (;;) {
+    const result = await counted.list({ prefix: prefixes[phase], cursor });
+    let finished = result.list_complete;
+
+    for (let index = skip; index < result.keys.length; index++) {
+      if (counted.operations >= BATCH_OPERATIONS) {
+        // Deleted keys drop out of the listing, so those phases resume at the top of it
+        return { phase, cursor, skip: phase === 'pages' ? index : 0, docs, length };
+      }
+
+      const { name } = result.keys[index];
+      if (phase === 'legacy') {
+        // Earlier layouts keyed the index by shard number, which sorts first
+        if (!/^\d/.test(parseSysKey(name)[1])) {
+          finished = true;
+          break;
+        }
+        await counted.delete(name);
+      } else if (phase === 'pages') {
+        // Internal records sort after every page
+        if (isReservedKey(name)) {
+          finished = true;
+          break;
+        }
+        const { value, metadata } = await counted.getWithMetadata(name, { type: 'text' });
+        const indexed = await updateSearchIndex(counted, name, value, metadata || {}, { rebuild: true });
+        if (indexed > 0) {
+          docs++;
+          length += indexed;
+        }
+      } else {
+        const key = decodeURIComponent(name.slice(docPrefix.length));
+        if (await counted.get(key) === null) {
+          await updateSearchIndex(counted, key, null, {}, { rebuild: true });
+        }
+      }
+    }
+
+    skip = 0;
+    if (!finished) {
+      cursor = result.cursor;
+    } else if (phase !== 'orphans') {
+      phase = phase === 'legacy' ? 'pages' : 'orphans';
+      cursor = undefined;
+    } else {
+      await counted.delete(sysKey('idx', 'docs'));
+      await counted.put(sysKey('idx', 'stats'), JSON.stringify({ docs, length }));
+      return null;
+    }
+  }
+}
+
+// Ranked pages for a query, best first. Each query term costs one listing
+// of at most SEARCH_POSTINGS_LIMIT postings, whatever the size of the wiki
+async function searchPages(store, query) {
+  const terms = [...new Set(tokenize(query))].slice(0, SEARCH_QUERY_TERMS);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const stats = await store.get(sysKey('idx', 'stats'), { type: 'json' }) || { docs: 0, length: 0 };
+  const postings = await Promise.all(terms.map(async term => {
+    const prefix = searchTermPrefix(term);
+    const result = await store.list({ prefix, limit: SEARCH_POSTINGS_LIMIT });
+    return result.keys.map(({ name, metadata }) => ({
+      key: decodeURIComponent(name.slice(prefix.length)),
+      ...metadata
+    }));
+  }));
+
+  const docCount = Math.max(stats.docs, ...postings.map(pages => pages.length));
+  const averageLength = stats.docs > 0 ? stats.length / stats.docs : 1;
+  const scores = {};
+  const matchedTerms = {};
+
+  // Okapi BM25
+  for (const pages of postings) {
+    const idf = Math.log(1 + (docCount - pages.length + 0.5) / (pages.length + 0.5));
+
+    for (const { key, tf, length } of pages) {
+      scores[key] = (scores[key] || 0) + idf * (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * length / averageLength));
+      matchedTerms[key] = (matchedTerms[key] || 0) + 1;
+    }
+  }
+
+  return Object.keys(scores)
+    .map(key => ({ key, score: scores[key] * matchedTerms[key] / terms.length }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function serveRebuildProgress(next, csrf) {
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Rebuilding Search Index</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Rebuilding Search Index</h1>
+      <p>${{
+        legacy: 'Clearing out the index of an earlier version.',
+        pages: `Reindexing pages: ${next.docs} so far.`,
+        orphans: 'Removing pages that no longer exist from the index.'
+      }[next.phase]}</p>
+      <p>Each request rebuilds one batch, to stay within the storage operations a request may make. Continue to rebuild the next batch.</p>
+      <form action="/s" method="post">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="phase" value="${next.phase}">
+        <input type="hidden" name="cursor" value="${escapeHtml(next.cursor || '')}">
+        <input type="hidden" name="skip" value="${next.skip}">
+        <input type="hidden" name="docs" value="${next.docs}">
+        <input type="hidden" name="length" value="${next.length}">
+        <button type="submit">Continue</button>
+      </form>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 202,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+function renderSnippet(text, query) {
+  const words = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (words.length === 0) {
+    return escapeHtml(flat.slice(0, 200));
+  }
+
+  const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'giu');
+  const firstMatch = flat.search(pattern);
+  const start = Math.max(0, (firstMatch === -1 ? 0 : firstMatch) - 60);
+  const excerpt = flat.slice(start, start + 200);
+
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+
+  return (start > 0 ? '…' : '') + html + (start + 200 < flat.length ? '…' : '');
+}
+
+async function serveSearchPage(store, request, session) {
+  const url = new URL(request.url);
+  const query = (url.searchParams.get('q') || '').trim();
+  const results = query ? (await searchPages(store, query)).slice(0, SEARCH_RESULT_READS) : [];
+
+  // Pages are read a batch at a time until enough of them are visible
+  const resultItems = [];
+  for (let start = 0; start < results.length && resultItems.length < SEARCH_RESULTS_LIMIT; start += SEARCH_RESULTS_LIMIT) {
+    const batch = await Promise.all(results.slice(start, start + SEARCH_RESULTS_LIMIT).map(async ({ key }) => {
+      const { value, metadata } = await store.getWithMetadata(key, { type: 'text' });
+      if (value === null || !canView(session, metadata || {})) {
+        return '';
+      }
+      const text = getSearchableText(key, value, metadata || {}) || '';
+      return `
+      <li>
+        <a href="${pageUrl(key)}">${escapeHtml(decodeKey(key))}</a>
+        <div class="snippet">${renderSnippet(text.slice(text.indexOf('\n') + 1), query)}</div>
+      </li>`;
+    }));
+    resultItems.push(...batch.filter(Boolean));
+  }
+  resultItems.length = Math.min(resultItems.length, SEARCH_RESULTS_LIMIT);
+  const visibleCount = resultItems.length;
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Search${query ? `: ${escapeHtml(query)}` : ''}</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        input[type="search"] {
+          width: 100%;
+          padding: 8px;
+          margin: 8px 0;
+          border: 1px solid #ddd;
+        }
+        ul {
+          list-style: none;
+          padding: 0;
+        }
+        li {
+          padding: 8px 0;
+          border-bottom: 1px solid #eee;
+        }
+        .snippet {
+          color: #555;
+          font-size: 0.9em;
+        }
+        mark {
+          background: #fff3b0;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/l">All Pages</a>
+      </div>
+      <h1>Search</h1>
+      <form action="/s" method="get">
+        <input type="search" name="q" value="${escapeHtml(query)}" autofocus>
+      </form>
+      ${query ? `<p>${visibleCount} result${visibleCount === 1 ? '' : 's'}</p>` : ''}
+      <ul>${resultItems.join('')}</ul>
+      ${hasRole(session, 'admin') ? `
+      <form action="/s" method="post">
+        ${csrfInput(await csrfToken(session))}
+        <button type="submit">Rebuild Index</button>
+      </form>` : ''}
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+async function filterVisiblePages(store, keys, session) {
+  const visible = await Promise.all(keys.map(async key => {
+    const { metadata } = await store.getWithMetadata(key);
+    return canView(session, metadata || {}) ? key : null;
+  }));
+  return visible.filter(Boolean);
+}
+
+function attachmentUrl(key, name, share = null) {
+  return pageUrl(key, 'attachment', share ? { name, share } : { name });
+}
+
+function rewriteAttachmentUrls(html, key, share = null) {
+  return html.replace(/(\b(?:src|href)\s*=\s*["'])attachment:([^"']+)/gi,
+    (match, prefix, name) => prefix + attachmentUrl(key, name, share));
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+async function listAttachments(store, key) {
+  const prefix = sysKey('att', key) + ':';
+  const attachments = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      if (entry.metadata) {
+        attachments.push(entry.metadata);
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return attachments.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getAttachment(store, key, name) {
+  const { metadata } = await store.getWithMetadata(sysKey('att', key, name));
+  return metadata;
+}
+
+async function writeBlob(store, stream) {
+  const blob = randomHex(16);
+  const reader = stream.getReader();
+  // Stores with smaller values than KV say so
+  const chunkSize = store.chunkSize || ATTACHMENT_CHUNK_SIZE;
+  let buffer = new Uint8Array(chunkSize);
+  let filled = 0;
+  let chunks = 0;
+  let size = 0;
+
+  const flush = async () => {
+    await store.put(sysKey('blob', blob, String(chunks)), buffer.slice(0, filled));
+    chunks++;
+    filled = 0;
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    let offset = 0;
+    while (offset < value.length) {
+      const take = Math.min(value.length - offset, chunkSize - filled);
+      buffer.set(value.subarray(offset, offset + take), filled);
+      filled += take;
+      offset += take;
+      size += take;
+      if (filled === chunkSize) {
+        await flush();
+      }
+    }
+  }
+
+  if (filled > 0 || chunks === 0) {
+    await flush();
+  }
+
+  return { blob, chunks, size };
+}
+
+function readBlob(store, record) {
+  let index = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (index >= record.chunks) {
+        controller.close();
+        return;
+      }
+
+      const chunk = await store.get(sysKey('blob', record.blob, String(index++)), { type: 'arrayBuffer' });
+      if (chunk === null) {
+        controller.error(new Error(`Missing chunk ${index - 1} of blob ${record.blob}`));
+        return;
+      }
+      controller.enqueue(new Uint8Array(chunk));
+    }
+  });
+}
+
+async function deleteBlob(store, record) {
+  await Promise.all(Array.from({ length: record.chunks }, (_, index) =>
+    store.delete(sysKey('blob', record.blob, String(index)))
+  ));
+}
+
+function isValidAttachmentName(name) {
+  return name.length > 0 && name.length <= 200 && !/[\/\\\u0000-\u001f]/.test(name);
+}
+
+async function putAttachment(store, key, file, session) {
+  const record = await storeAttachment(store, key, file.name.trim(), file.stream(), {
+    type: file.type || 'application/octet-stream',
+    uploaded: Date.now(),
+    by: session.user
+  });
+  await recordAudit(store, session, 'upload', key, `${record.name} (${formatSize(record.size)})`);
+  return record;
+}
+
+async function storeAttachment(store, key, name, stream, details) {
+  if (!isValidAttachmentName(name)) {
+    throw new Error(`Invalid attachment name: ${name}`);
+  }
+
+  const previous = await getAttachment(store, key, name);
+  const { blob, chunks, size } = await writeBlob(store, stream);
+  const record = { ...details, name, size, blob, chunks };
+
+  await store.put(sysKey('att', key, name), '', { metadata: record });
+
+  if (previous) {
+    await deleteBlob(store, previous);
+  }
+  return record;
+}
+
+async function deleteAttachment(store, key, name) {
+  const record = await getAttachment(store, key, name);
+  if (record) {
+    await store.delete(sysKey('att', key, name));
+    await deleteBlob(store, record);
+  }
+}
+
+async function moveAttachments(store, oldKey, newKey) {
+  for (const record of await listAttachments(store, oldKey)) {
+    const previous = await getAttachment(store, newKey, record.name);
+    await store.put(sysKey('att', newKey, record.name), '', { metadata: record });
+    await store.delete(sysKey('att', oldKey, record.name));
+    if (previous) {
+      await deleteBlob(store, previous);
+    }
+  }
+}
+
+async function uploadAttachments(store, formData, key, session) {
+  try {
+    for (const file of formData.getAll('file')) {
+      if (file && typeof file !== 'string' && file.size > 0) {
+        if (!isValidAttachmentName(file.name.trim())) {
+          return new Response('Invalid file name', { status: 400 });
+        }
+        await putAttachment(store, key, file, session);
+      }
+    }
+
+    return redirect(pageUrl(key, 'attachments'));
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    return new Response('Upload failed', { status: 500 });
+  }
+}
+
+async function serveAttachment(store, key, name, session, shareToken = null) {
+  const { metadata } = await store.getWithMetadata(key);
+
+  if (metadata && metadata.redirect && canView(session, metadata)) {
+    return new Response('', {
+      status: 301,
+      headers: { 'Location': attachmentUrl(metadata.redirect, name) }
+    });
+  }
+
+  if (metadata && metadata.redirect && shareToken && await readShareToken(shareToken)) {
+    return new Response('', {
+      status: 301,
+      headers: { 'Location': attachmentUrl(metadata.redirect, name, shareToken), 'Referrer-Policy': 'no-referrer' }
+    });
+  }
+
+  const record = await getAttachment(store, key, name);
+  let allowed = canView(session, metadata || {});
+  if (record && !allowed && shareToken) {
+    // Downloads don't count as views, but the link must grant attachments
+    const shared = await useShareLink(store, key, shareToken, false);
+    allowed = !shared.error && shared.link.attachments;
+  }
+
+  if (!record || !allowed) {
+    return new Response('Attachment not found', {
+      status: 404,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+  }
+
+  return serveFileDownload(record.name, record.type, readBlob(store, record), {
+    size: record.size,
+    inline: INLINE_IMAGE_TYPES.includes(record.type)
+  });
+}
+
+async function serveAttachmentsPage(store, key, csrf) {
+  const attachments = await listAttachments(store, key);
+
+  const rows = attachments.map(attachment => `
+    <tr>
+      <td><a href="${attachmentUrl(key, attachment.name)}">${escapeHtml(attachment.name)}</a></td>
+      <td>${escapeHtml(attachment.type)}</td>
+      <td>${formatSize(attachment.size)}</td>
+      <td>${formatTime(attachment.uploaded)}</td>
+      <td>${csrf ? `
+        <form action="${pageUrl(key, 'attachments')}" method="post">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="delete" value="${escapeHtml(attachment.name)}">
+          <button type="submit" class="delete">Delete</button>
+        </form>` : ''}
+      </td>
+    </tr>`
+  ).join('');
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Attachments of ${escapeHtml(decodeKey(key))}</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        td, th {
+          padding: 4px 6px;
+          border-bottom: 1px solid #eee;
+          text-align: left;
+        }
+        td form {
+          margin: 0;
+        }
+        input[type="file"] {
+          margin: 10px 0;
+        }
+        button {
+          padding: 6px 12px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .delete {
+          background: #d00;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/${key}">Back to Page</a>
+        <a href="/l">All Pages</a>
+      </div>
+      <h1>Attachments of "${escapeHtml(decodeKey(key))}"</h1>
+      ${attachments.length === 0 ? '<p>No attachments</p>' : `
+      <table>
+        <tr><th>Name</th><th>Type</th><th>Size</th><th>Uploaded</th><th></th></tr>
+        ${rows}
+      </table>`}
+      ${csrf ? `
+      <h2>Upload</h2>
+      <p>Reference an attachment from the page content as <code>attachment:{name}</code>.</p>
+      <form action="${pageUrl(key, 'attachments')}" method="post" enctype="multipart/form-data">
+        ${csrfInput(csrf)}
+        <input type="file" name="file" multiple required>
+        <div>
+          <button type="submit">Upload</button>
+        </div>
+      </form>` : ''}
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+// Internal records that are rebuilt or only matter to the running worker.
+// Accounts and API tokens hold password and token hashes, and the audit log
+// only records what happened here, so archives never carry them either: an
+// import can't add logins or rewrite the log
+const UNEXPORTED_RECORDS = [
+  'att', 'blob', 'idx', 'links', 'backlink', 'revoked', 'feed', 'login', 'trash', 'import', 'user', 'token', 'audit'
+];
+
+function parseSysKey(name) {
+  return name.slice(SYS_PREFIX.length).split(':').map(part => decodeURIComponent(part));
+}
+
+function archivePath(name) {
+  // Keep "." and ".." from becoming relative path components when extracted
+  return name.split('/')
+    .map(segment => /^\.{1,2}$/.test(segment) ? segment.replace(/\./g, '%2E') : segment)
+    .join('/');
+}
+
+function pageFileExtension(value, metadata = {}) {
+  const kind = getContentKind(value, metadata);
+  return kind === 'html' ? '.html' : kind === 'text' ? '.md' : '.json';
+}
+
+function tarHeader(path, size, mtime, type = '0') {
+  const encoder = new TextEncoder();
+  const header = new Uint8Array(512);
+  const writeField = (offset, length, text) => {
+    header.set(encoder.encode(text).subarray(0, length), offset);
+  };
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+  writeField(0, 100, path);
+  writeField(100, 8, '0000644\0');
+  writeField(108, 8, '0000000\0');
+  writeField(116, 8, '0000000\0');
+  writeField(124, 12, octal(size, 12));
+  writeField(136, 12, octal(Math.floor(mtime / 1000), 12));
+  writeField(148, 8, '        ');
+  writeField(156, 1, type);
+  writeField(257, 8, 'ustar\u000000');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeField(148, 8, checksum.toString(8).padStart(6, '0') + '\0 ');
+  return header;
+}
+
+function* tarEntryHeaders(path, size, mtime) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(path).length > 100) {
+    // Long names go in a PAX extended header ahead of the entry
+    const body = `path=${path}\n`;
+    let length = encoder.encode(body).length + 3;
+    while (encoder.encode(`${length} ${body}`).length !== length) {
+      length++;
+    }
+    const record = encoder.encode(`${length} ${body}`);
+    yield tarHeader('PaxHeader', record.length, mtime, 'x');
+    yield record;
+    yield tarPadding(record.length);
+  }
+  yield tarHeader(path, size, mtime);
+}
+
+function tarPadding(size) {
+  return new Uint8Array((512 - size % 512) % 512);
+}
+
+// Storage operations exporting an entry takes, judged from its listing alone
+function exportCost(entry) {
+  if (!isReservedKey(entry.name)) {
+    return 1;
+  }
+  const [kind] = parseSysKey(entry.name);
+  if (kind === 'att') {
+    return entry.metadata ? entry.metadata.chunks : 0;
+  }
+  return UNEXPORTED_RECORDS.includes(kind) ? 0 : 1;
+}
+
+// Splits the export into parts of about BATCH_OPERATIONS each. A part says
+// where its keys start (a listing cursor and how many keys of that listing to
+// skip) and how many it covers. Planning only lists keys, so it is cheap
+async function planExport(store) {
+  const parts = [];
+  let part = null;
+  let cursor;
+
+  do {
+    const result = await store.list({ cursor });
+    if (part) {
+      part.cost++;
+    }
+    result.keys.forEach((entry, index) => {
+      const cost = exportCost(entry);
+      if (!part || part.cost + cost > BATCH_OPERATIONS) {
+        part = { cursor, skip: index, count: 0, cost: 1 };
+        parts.push(part);
+      }
+      part.count++;
+      part.cost += cost;
+    });
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return parts;
+}
+
+async function* exportTarChunks(store, { cursor, skip = 0, count = Infinity } = {}) {
+  const encoder = new TextEncoder();
+  const now = Date.now();
+
+  async function* file(path, body, mtime = now) {
+    const bytes = typeof body === 'string' ? encoder.encode(body) : body;
+    yield* tarEntryHeaders(path, bytes.length, mtime);
+    yield bytes;
+    yield tarPadding(bytes.length);
+  }
+
+  let remaining = count;
+  do {
+    const result = await store.list({ cursor });
+
+    for (const entry of result.keys.slice(skip)) {
+      if (remaining === 0) {
+        break;
+      }
+      remaining--;
+
+      if (!isReservedKey(entry.name)) {
+        const { value, metadata } = await store.getWithMetadata(entry.name, { type: 'text' });
+        if (value === null) {
+          continue;
+        }
+        const mtime = metadata && metadata.rev ? Number(metadata.rev.slice(0, 13)) : now;
+        const path = `pages/${archivePath(decodeKey(entry.name))}${pageFileExtension(value, metadata || {})}`;
+        yield* file(`meta/${path}.json`, JSON.stringify({ key: entry.name, metadata }), mtime);
+        yield* file(path, value, mtime);
+        continue;
+      }
+
+      const [kind, ...parts] = parseSysKey(entry.name);
+
+      if (kind === 'att' && entry.metadata) {
+        const [pageKey] = parts;
+        const record = entry.metadata;
+        const path = `attachments/${archivePath(decodeKey(pageKey))}/${archivePath(record.name)}`;
+        const { blob, chunks, ...details } = record;
+        yield* file(`meta/${path}.json`, JSON.stringify({ key: pageKey, metadata: details }), record.uploaded);
+        yield* tarEntryHeaders(path, record.size, record.uploaded);
+        const reader = readBlob(store, record).getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            break;
+          }
+          yield value;
+        }
+        yield tarPadding(record.size);
+      } else if (!UNEXPORTED_RECORDS.includes(kind)) {
+        const { value, metadata } = await store.getWithMetadata(entry.name, { type: 'text' });
+        if (value !== null) {
+          yield* file(`system/${encodeURIComponent(entry.name)}.json`, JSON.stringify({ key: entry.name, value, metadata }));
+        }
+      }
+    }
+
+    skip = 0;
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor && remaining > 0);
+
+  yield new Uint8Array(1024);
+}
+
+// A wiki that can't be exported within one request's storage operations is
+// exported in parts, each a complete archive that imports on its own
+async function exportArchive(store, url) {
+  const date = new Date().toISOString().slice(0, 10);
+  let part = {};
+  let filename = `wiki-export-${date}.tar`;
+
+  if (url.searchParams.has('part')) {
+    part = {
+      cursor: url.searchParams.get('cursor') || undefined,
+      skip: Number(url.searchParams.get('skip')) || 0,
+      count: Number(url.searchParams.get('count')) || 0
+    };
+    filename = `wiki-export-${date}-part${Number(url.searchParams.get('part')) || 1}.tar`;
+  } else {
+    const parts = await planExport(store);
+    if (parts.length > 1) {
+      return serveExportParts(parts);
+    }
+  }
+
+  const chunks = exportTarChunks(store, part);
+  const body = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else if (value.length > 0) {
+        controller.enqueue(value);
+      }
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'application/x-tar',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    }
+  });
+}
+
+function serveExportParts(parts) {
+  const links = parts.map((part, index) => {
+    const params = new URLSearchParams({ part: index + 1, skip: part.skip, count: part.count });
+    if (part.cursor) {
+      params.set('cursor', part.cursor);
+    }
+    return `<li><a href="/export?${escapeHtml(params.toString())}">Part ${index + 1}</a> (${part.count} entries)</li>`;
+  }).join('');
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Export</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/l">← Back to Pages</a>
+        <a href="/import">Import</a>
+      </div>
+      <h1>Export</h1>
+      <p>The wiki is too big to export in one request, so it comes in ${parts.length} parts. Download each of them; every part is a complete archive and they can be imported one after another.</p>
+      <p>The parts were planned just now. Pages added or removed before you download them shift what each part covers, so export while nobody is editing.</p>
+      <ol>${links}</ol>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }
+  });
+}
+
+async function* readTarEntries(stream) {
+  const reader = stream.getReader();
+  const queue = [];
+  let queued = 0;
+  let finished = false;
+
+  const readBytes = async length => {
+    while (queued < length && !finished) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+      } else {
+        queue.push(value);
+        queued += value.length;
+      }
+    }
+    if (queued < length) {
+      return null;
+    }
+
+    const out = new Uint8Array(length);
+    let filled = 0;
+    while (filled < length) {
+      const head = queue[0];
+      const take = Math.min(head.length, length - filled);
+      out.set(head.subarray(0, take), filled);
+      filled += take;
+      if (take === head.length) {
+        queue.shift();
+      } else {
+        queue[0] = head.subarray(take);
+      }
+    }
+    queued -= length;
+    return out;
+  };
+
+  const decoder = new TextDecoder();
+  const field = (header, offset, length) => decoder.decode(header.subarray(offset, offset + length)).replace(/\0[\s\S]*$/, '');
+  let longPath = null;
+
+  for (;;) {
+    const header = await readBytes(512);
+    if (!header || header.every(byte => byte === 0)) {
+      return;
+    }
+
+    const size = parseInt(field(header, 124, 12).trim() || '0', 8);
+    const type = field(header, 156, 1) || '0';
+    const prefix = field(header, 345, 155);
+    const name = field(header, 0, 100);
+    const body = await readBytes(size);
+    await readBytes((512 - size % 512) % 512);
+
+    if (body === null) {
+      throw new Error('Truncated archive');
+    }
+
+    if (type === 'x') {
+      const match = decoder.decode(body).match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+      longPath = match ? match[1] : longPath;
+    } else if (type === 'L') {
+      longPath = decoder.decode(body).replace(/\0+$/, '');
+    } else {
+      if (type === '0') {
+        yield { path: longPath || (prefix ? `${prefix}/${name}` : name), body };
+      }
+      longPath = null;
+    }
+  }
+}
+
+// Wraps a store to count the operations made through it, so batched work can
+// stop well short of the per-invocation limit
+function countingStore(store) {
+  const counted = { operations: 0, chunkSize: store.chunkSize };
+  for (const method of ['get', 'getWithMetadata', 'put', 'delete', 'list']) {
+    counted[method] = (...args) => {
+      counted.operations++;
+      return store[method](...args);
+    };
+  }
+  return counted;
+}
+
+// Keys from an archive get the same checks as keys taken from a request path,
+// so an archive can't write to internal records through a page or attachment
+function importedPageKey(key) {
+  if (typeof key !== 'string' || !key || isReservedKey(key)) {
+    throw new Error('empty or reserved page name');
+  }
+  let normalized;
+  try {
+    normalized = pageKeyFromPath(key.split('/').filter(Boolean));
+  } catch (error) {
+    throw new Error('malformed page name');
+  }
+  if (normalized !== key) {
+    throw new Error('malformed page name');
+  }
+  return key;
+}
+
+// Imports run in batches. The archive is first stored as a blob; then the
+// upload and every "Continue" after it import entries until the batch has
+// used BATCH_OPERATIONS storage operations. Progress is kept in "~import:{id}"
+async function importArchive(store, formData, session) {
+  const counted = countingStore(store);
+  const action = formData.get('action') || 'upload';
+  let job;
+
+  if (action === 'upload') {
+    const archive = formData.get('archive');
+    if (!archive || typeof archive === 'string' || archive.size === 0) {
+      return new Response('Archive is required', { status: 400 });
+    }
+    job = {
+      id: randomHex(8),
+      name: archive.name,
+      overwrite: formData.get('conflict') === 'overwrite',
+      by: session.user,
+      started: Date.now(),
+      archive: await writeBlob(counted, archive.stream()),
+      done: 0,
+      counts: { imported: 0, skipped: 0, failed: 0 },
+      failures: []
+    };
+  } else {
+    job = await store.get(sysKey('import', formData.get('id') || ''), { type: 'json' });
+    if (!job) {
+      return new Response('Import not found', { status: 404 });
+    }
+    if (action === 'cancel') {
+      await deleteBlob(store, job.archive);
+      await store.delete(sysKey('import', job.id));
+      await recordAudit(store, session, 'import', '', `${job.name}: cancelled after ${job.done} entries`);
+      return redirect('/import');
+    }
+    if (action !== 'continue') {
+      return new Response('Unknown action', { status: 400 });
+    }
+  }
+
+  let finished;
+  try {
+    finished = await importEntries(counted, job, session);
+  } catch (error) {
+    console.error('Error reading archive:', error);
+    await deleteBlob(store, job.archive);
+    await store.delete(sysKey('import', job.id));
+    return new Response(`Import failed: ${error.message}`, { status: 400 });
+  }
+
+  if (!finished) {
+    await store.put(sysKey('import', job.id), JSON.stringify(job));
+    return serveImportProgress(job, await csrfToken(session));
+  }
+
+  await deleteBlob(store, job.archive);
+  await store.delete(sysKey('import', job.id));
+
+  const { counts, failures, overwrite } = job;
+  await recordAudit(store, session, 'import', '', `${job.name}: ${counts.imported} imported, ${counts.skipped} skipped, ${counts.failed} failed${overwrite ? ', overwriting' : ''}`);
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Import Finished</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        .error {
+          color: #d00;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Import Finished</h1>
+      <p>${counts.imported} imported, ${counts.skipped} skipped, ${counts.failed} failed.</p>
+      ${failures.length > 0 ? `<ul class="error">${failures.map(failure => `<li>${escapeHtml(failure)}</li>`).join('')}</ul>` : ''}
+      ${counts.failed > failures.length ? `<p>Only the first ${failures.length} failures are listed.</p>` : ''}
+      <p><a href="/l">Back to Pages</a></p>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: counts.failed > 0 ? 207 : 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+// Imports the entries after job.done until the batch runs out of operations.
+// Returns true once the whole archive has been read
+async function importEntries(store, job, session) {
+  const decoder = new TextDecoder();
+  const pendingMeta = {};
+  let index = 0;
+
+  for await (const entry of readTarEntries(readBlob(store, job.archive))) {
+    const path = entry.path.replace(/^\.\//, '');
+
+    // Earlier batches' entries are read again only to pair files with their meta entries
+    if (index++ < job.done) {
+      if (path.startsWith('meta/')) {
+        try {
+          pendingMeta[path.slice('meta/'.length, -'.json'.length)] = JSON.parse(decoder.decode(entry.body));
+        } catch (error) {
+          // Counted as a failure when it was first read
+        }
+      } else {
+        delete pendingMeta[path];
+      }
+      continue;
+    }
+
+    if (store.operations >= BATCH_OPERATIONS) {
+      return false;
+    }
+    job.done++;
+
+    try {
+      if (path.startsWith('meta/')) {
+        pendingMeta[path.slice('meta/'.length, -'.json'.length)] = JSON.parse(decoder.decode(entry.body));
+        continue;
+      }
+
+      const meta = pendingMeta[path] || null;
+      delete pendingMeta[path];
+
+      const imported = await importEntry(store, path, entry.body, meta, job.overwrite, session);
+      job.counts[imported ? 'imported' : 'skipped']++;
+    } catch (error) {
+      job.counts.failed++;
+      if (job.failures.length < IMPORT_FAILURES_KEPT) {
+        job.failures.push(`${path}: ${error.message}`);
+      }
+    }
+  }
+
+  return true;
+}
+
+// Returns false when the entry is skipped
+async function importEntry(store, path, body, meta, overwrite, session) {
+  const decoder = new TextDecoder();
+
+  if (path.startsWith('pages/')) {
+    const name = path.slice('pages/'.length).replace(/\.(md|html|json|txt)$/, '');
+    const key = importedPageKey(meta ? meta.key : pageKeyFromName(name));
+    if (!overwrite && await store.get(key) !== null) {
+      return false;
+    }
+    const { rev, ...settings } = (meta && meta.metadata) || {};
+    if (isRedirect(settings)) {
+      await store.put(key, '', { metadata: settings });
+    } else {
+      await writePage(store, key, decoder.decode(body), 'import', { author: session.user, ...settings });
+    }
+    return true;
+  }
+
+  if (path.startsWith('attachments/')) {
+    const rest = path.slice('attachments/'.length);
+    const name = meta ? meta.metadata.name : rest.slice(rest.lastIndexOf('/') + 1);
+    const key = importedPageKey(meta ? meta.key : pageKeyFromName(rest.slice(0, rest.lastIndexOf('/'))));
+    if (typeof name !== 'string' || !isValidAttachmentName(name)) {
+      throw new Error('invalid attachment name');
+    }
+    if (!overwrite && await getAttachment(store, key, name)) {
+      return false;
+    }
+    const details = meta ? meta.metadata : {};
+    await storeAttachment(store, key, name, new Blob([body]).stream(), {
+      type: details.type || 'application/octet-stream',
+      uploaded: details.uploaded || Date.now(),
+      by: details.by || session.user
+    });
+    return true;
+  }
+
+  if (path.startsWith('system/')) {
+    const record = JSON.parse(decoder.decode(body));
+    if (typeof record.key !== 'string' || !isReservedKey(record.key) ||
+        UNEXPORTED_RECORDS.includes(parseSysKey(record.key)[0])) {
+      throw new Error('not an importable record');
+    }
+    if (!overwrite && await store.get(record.key) !== null) {
+      return false;
+    }
+    await store.put(record.key, record.value, record.metadata ? { metadata: record.metadata } : {});
+    return true;
+  }
+
+  return false;
+}
+
+async function listImports(store) {
+  const prefix = sysKey('import') + ':';
+  const result = await store.list({ prefix });
+  const jobs = await Promise.all(result.keys.map(entry => store.get(entry.name, { type: 'json' })));
+  return jobs.filter(Boolean).sort((a, b) => a.started - b.started);
+}
+
+function importActions(job, csrf) {
+  return ['continue', 'cancel'].map(action => `
+        <form action="/import" method="post" class="inline">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="action" value="${action}">
+          <input type="hidden" name="id" value="${escapeHtml(job.id)}">
+          <button type="submit"${action === 'cancel' ? ' class="cancel"' : ''}>${action === 'continue' ? 'Continue' : 'Cancel'}</button>
+        </form>`).join('');
+}
+
+function serveImportProgress(job, csrf) {
+  const { counts } = job;
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Import in Progress</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        .inline {
+          display: inline;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        button.cancel {
+          background: #d00;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>Import in Progress</h1>
+      <p>${escapeHtml(job.name)}: ${job.done} entries read so far (${counts.imported} imported, ${counts.skipped} skipped, ${counts.failed} failed).</p>
+      <p>Each request imports one batch, to stay within the storage operations a request may make. Continue to import the next batch.</p>
+      ${importActions(job, csrf)}
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 202,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+async function serveImportForm(store, csrf) {
+  const unfinished = (await listImports(store)).map(job => `
+        <li>
+          ${escapeHtml(job.name)}, started by ${escapeHtml(job.by)} ${formatTime(job.started)}: ${job.done} entries read
+          ${importActions(job, csrf)}
+        </li>`).join('');
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Import</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        form div {
+          margin: 10px 0;
+        }
+        button {
+          padding: 8px 16px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        button.cancel {
+          background: #d00;
+        }
+        .inline {
+          display: inline;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/l">← Back to Pages</a>
+        <a href="/export">Download Export</a>
+      </div>
+      <h1>Import</h1>
+      ${unfinished ? `<h2>Unfinished Imports</h2><ul>${unfinished}</ul>` : ''}
+      <p>Restore a tar archive produced by <a href="/export">/export</a>. Plain <code>pages/*.md</code> and <code>pages/*.html</code> files are accepted too.</p>
+      <form action="/import" method="post" enctype="multipart/form-data">
+        ${csrfInput(csrf)}
+        <div>
+          <input type="file" name="archive" accept=".tar,application/x-tar" required>
+        </div>
+        <div>
+          When an entry already exists:
+          <label><input type="radio" name="conflict" value="skip" checked> Skip it</label>
+          <label><input type="radio" name="conflict" value="overwrite"> Overwrite it</label>
+        </div>
+        <button type="submit">Import</button>
+      </form>
+    </body>
+    </html>
+  `;
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers }
+  });
+}
+
+function apiError(status, message, headers = {}) {
+  return jsonResponse({ error: message }, status, headers);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function getApiSession(store, request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') || '');
+  if (!match || !match[1].startsWith(API_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const { value, metadata } = await store.getWithMetadata(sysKey('token', await sha256Hex(match[1])));
+  if (value === null || !metadata) {
+    return null;
+  }
+
+  if (metadata.builtin) {
+    // The built-in admin's tokens stop working along with its password: they
+    // carry a hash of the ADMIN_PASSWORD they were made under, so unsetting
+    // or changing it revokes them
+    const current = ADMIN_PASSWORD && metadata.password === await adminPasswordTag();
+    return current ? { user: BUILTIN_ADMIN, role: 'admin', builtin: true, client: clientInfo(request) } : null;
+  }
+
+  const user = metadata.user !== BUILTIN_ADMIN && await getUser(store, metadata.user);
+  return user ? { user: user.name, role: user.role, builtin: false, client: clientInfo(request) } : null;
+}
+
+// Short, so it fits the token's KV metadata without revealing the password
+async function adminPasswordTag() {
+  return (await sha256Hex(`api-token:${ADMIN_PASSWORD}`)).slice(0, 16);
+}
+
+async function listApiTokens(store, session) {
+  const prefix = sysKey('token') + ':';
+  const tokens = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      const details = entry.metadata || {};
+      if (details.user === session.user || hasRole(session, 'admin')) {
+        tokens.push({ id: entry.name.slice(prefix.length), ...details });
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return tokens.sort((a, b) => a.created - b.created);
+}
+
+async function updateApiTokens(store, formData, session, csrf) {
+  const action = formData.get('action');
+
+  if (action === 'create') {
+    const name = (formData.get('name') || '').trim().slice(0, 64);
+    if (!name) {
+      return new Response('Token name is required', { status: 400 });
+    }
+
+    // Only the hash is stored, so the token itself is shown exactly once
+    const token = API_TOKEN_PREFIX + randomHex(24);
+    await store.put(sysKey('token', await sha256Hex(token)), '', {
+      metadata: {
+        name,
+        user: session.user,
+        builtin: Boolean(session.builtin),
+        ...(session.builtin ? { password: await adminPasswordTag() } : {}),
+        created: Date.now()
+      }
+    });
+    await recordAudit(store, session, 'token', '', `create ${name}`);
+    return await serveTokensPage(store, session, csrf, token);
+  }
+
+  if (action === 'revoke') {
+    const id = formData.get('id') || '';
+    const { value, metadata } = await store.getWithMetadata(sysKey('token', id));
+    if (value === null || !metadata) {
+      return new Response('Token not found', { status: 404 });
+    }
+    if (metadata.user !== session.user && !hasRole(session, 'admin')) {
+      return forbidden();
+    }
+    await store.delete(sysKey('token', id));
+    await recordAudit(store, session, 'token', '', `revoke ${metadata.name} of ${metadata.user}`);
+    return redirect('/tokens');
+  }
+
+  return new Response('Unknown action', { status: 400 });
+}
+
+async function serveTokensPage(store, session, csrf, newToken = null) {
+  const tokens = await listApiTokens(store, session);
+
+  const rows = tokens.map(token => `
+    <tr>
+      <td>${escapeHtml(token.name)}</td>
+      <td>${escapeHtml(token.user)}</td>
+      <td>${formatTime(token.created)}</td>
+      <td>
+        <form method="post" class="inline">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="action" value="revoke">
+          <input type="hidden" name="id" value="${escapeHtml(token.id)}">
+          <button type="submit" class="delete">Revoke</button>
+        </form>
+      </td>
+    </tr>`
+  ).join('');
+
+  const page = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>API Tokens</title>
+      <style>
+        body {
+          font-family: system-ui, -apple-system, sans-serif;
+          margin: 40px auto;
+          max-width: 650px;
+          line-height: 1.6;
+          padding: 0 10px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        td, th {
+          padding: 6px;
+          border-bottom: 1px solid #eee;
+          text-align: left;
+        }
+        input {
+          padding: 6px;
+          border: 1px solid #ddd;
+        }
+        button {
+          padding: 6px 12px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
+        }
+        .delete {
+          background: #d00;
+        }
+        .inline {
+          display: inline;
+        }
+        .new-token {
+          background: #f5f5f5;
+          padding: 10px;
+          word-break: break-all;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="actions">
+        <a href="/l">← Back to Pages</a>
+      </div>
+      <h1>API Tokens</h1>
+      <p>Tokens act as ${escapeHtml(session.user)} on <code>/api/pages</code>; send them as <code>Authorization: Bearer {token}</code>.</p>
+      ${newToken ? `
+      <p>Copy the new token now, it will not be shown again:</p>
+      <p class="new-token"><code>${escapeHtml(newToken)}</code></p>` : ''}
+      ${tokens.length === 0 ? '<p>No tokens yet.</p>' : `
+      <table>
+        <tr><th>Name</th><th>User</th><th>Created</th><th></th></tr>
+        ${rows}
+      </table>`}
+      <h2>New Token</h2>
+      <form method="post">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="action" value="create">
+        <input type="text" name="name" placeholder="What the token is for" required maxlength="64">
+        <button type="submit">Create</button>
       </form>
     </body>
     </html>
   `;
-  
-  return new Response(form, { 
-    status: 200, 
-    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+
+  return new Response(page, {
+    status: newToken ? 201 : 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }
   });
 }
 
-async function servePage(request, key) {
-  const data = await KV.get(key, { type: "text" });
-  
-  if (!data) {
-    return new Response('Page not found', { 
-      status: 404, 
-      headers: { 'Content-Type': 'text/plain; charset=utf-8' } 
-    });
+async function pageEtag(value, metadata) {
+  return `"${(await sha256Hex(JSON.stringify([value, metadata]))).slice(0, 32)}"`;
+}
+
+function etagMatches(header, etag) {
+  if (!etag) {
+    return false;
+  }
+  return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
+
+// Writes must name the version they replace. The only way around If-Match
+// is If-None-Match: *, which creates a page and fails if it already exists
+function checkWritePreconditions(request, etag) {
+  const ifMatch = request.headers.get('If-Match');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+
+  if (ifMatch !== null) {
+    if (!etagMatches(ifMatch, etag)) {
+      return apiError(412, etag ? 'The page has changed since it was read' : 'Page not found', etag ? { 'ETag': etag } : {});
+    }
+    if (ifNoneMatch !== null && etagMatches(ifNoneMatch, etag)) {
+      return apiError(412, 'The page already exists', { 'ETag': etag });
+    }
+    return null;
+  }
+
+  if (ifNoneMatch === null || ifNoneMatch.trim() !== '*') {
+    return apiError(428, 'Send If-Match with the page\'s ETag, or If-None-Match: * to create a page');
+  }
+  if (etag) {
+    return apiError(412, 'The page already exists', { 'ETag': etag });
+  }
+  return null;
+}
+
+function apiContentType(value, metadata) {
+  const kind = getContentKind(value, metadata);
+  return kind === 'text' ? 'text/markdown' : kind === 'html' ? 'text/html' : 'application/json';
+}
+
+function apiPageMetadata(metadata) {
+  const { rev, contentType, kind, ...settings } = metadata || {};
+  return settings;
+}
+
+function apiPage(key, value, metadata) {
+  return {
+    name: decodeKey(key),
+    url: pageUrl(key),
+    rev: metadata.rev || null,
+    contentType: apiContentType(value, metadata),
+    metadata: apiPageMetadata(metadata),
+    content: value
+  };
+}
+
+async function readJsonBody(request) {
+  if (!(request.headers.get('Content-Type') || '').includes('application/json')) {
+    return null;
   }
-  
-  let parsedData;
   try {
-    parsedData = JSON.parse(data);
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
   } catch (e) {
-    if (/<html|<!DOCTYPE|<body|<div|<script|<style/i.test(data)) {
-      return new Response(data, { 
-        headers: { 'Content-Type': 'text/html; charset=utf-8' } 
-      });
-    } else {
-      const escapedContent = data
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-        
-      const htmlResponse = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>${decodeURIComponent(key)}</title>
-          <style>
-            body {
-              font-family: system-ui, -apple-system, sans-serif;
-              margin: 40px auto;
-              max-width: 650px;
-              line-height: 1.6;
-              padding: 0 10px;
-            }
-            pre {
-              background: #f8f8f8;
-              padding: 16px;
-              overflow-x: auto;
-            }
-            .actions {
-              margin: 20px 0;
-            }
-            .actions a {
-              color: #000;
-              text-decoration: none;
-              margin-right: 15px;
-            }
-            .actions a:hover {
-              text-decoration: underline;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="actions">
-            <a href="/${key}/e">Edit</a>
-            <a href="/l">All Pages</a>
-          </div>
-          <pre>${escapedContent}</pre>
-        </body>
-        </html>
-      `;
-      
-      return new Response(htmlResponse, { 
-        headers: { 'Content-Type': 'text/html; charset=utf-8' } 
-      });
+    return null;
+  }
+}
+
+// Turns an API request body into page content and metadata changes; settings
+// the body leaves out keep their current values
+function readApiPageFields(body, current, session) {
+  const changes = {};
+
+  if ('content' in body && typeof body.content !== 'string') {
+    return { error: 'content must be a string' };
+  }
+
+  if ('contentType' in body) {
+    if (body.contentType !== null && !API_CONTENT_TYPES.includes(body.contentType)) {
+      return { error: `contentType must be one of ${API_CONTENT_TYPES.join(', ')} or null` };
+    }
+    changes.contentType = body.contentType || undefined;
+  }
+
+  if ('metadata' in body) {
+    const metadata = body.metadata;
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return { error: 'metadata must be an object' };
+    }
+
+    if ('render' in metadata && !RENDER_MODES.includes(metadata.render)) {
+      return { error: `metadata.render must be one of ${RENDER_MODES.join(', ')}` };
+    }
+    if ('render' in metadata) {
+      changes.render = metadata.render;
+    }
+
+    const settings = normalizeVisibility(
+      metadata.visibility || current.visibility || 'public',
+      'allowed' in metadata ? metadata.allowed : current.allowed || [],
+      session
+    );
+    if (settings.error) {
+      return settings;
+    }
+    Object.assign(changes, settings.metadata);
+
+    const details = normalizePageDetails(
+      'title' in metadata ? metadata.title || '' : current.title || '',
+      'tags' in metadata ? metadata.tags : current.tags || []
+    );
+    if (details.error) {
+      return details;
+    }
+    Object.assign(changes, details.metadata);
+  } else if (!current.visibility) {
+    Object.assign(changes, normalizeVisibility('public', [], session).metadata);
+  }
+
+  const { visibility, allowed, render, title, tags } = { ...current, ...changes };
+  const size = checkSettingsSize({ visibility, allowed, render, title, tags });
+  return size.error ? size : { content: body.content, changes };
+}
+
+async function apiListPages(store, request, session) {
+  const url = new URL(request.url);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || API_LIST_LIMIT, 1), 1000);
+  const prefix = (url.searchParams.get('prefix') || '').split('/').map(encodePathSegment).join('/');
+  const result = await store.list({ prefix, limit, cursor: url.searchParams.get('cursor') || undefined });
+
+  const pages = result.keys
+    .filter(entry => !isReservedKey(entry.name) && canView(session, entry.metadata || {}))
+    .map(entry => ({
+      name: decodeKey(entry.name),
+      url: pageUrl(entry.name),
+      rev: (entry.metadata && entry.metadata.rev) || null,
+      metadata: apiPageMetadata(entry.metadata)
+    }));
+
+  // Internal keys sort after every page, so reaching one means the pages are done
+  const done = result.list_complete || result.keys.some(entry => isReservedKey(entry.name));
+  return jsonResponse({ pages, cursor: done ? null : result.cursor });
+}
+
+async function handleApiRequest(store, request, path) {
+  if (path[0] !== 'pages') {
+    return apiError(404, 'Not found');
+  }
+
+  const session = await getApiSession(store, request);
+  if (!session) {
+    return apiError(401, 'A valid API token is required', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  if (path.length === 1) {
+    if (request.method !== 'GET') {
+      return apiError(405, 'Method not allowed', { 'Allow': 'GET' });
+    }
+    return await apiListPages(store, request, session);
+  }
+
+  let key;
+  try {
+    key = pageKeyFromPath(path.slice(1));
+  } catch (e) {
+    return apiError(400, 'Malformed page name');
+  }
+  if (isReservedKey(key)) {
+    return apiError(404, 'Page not found');
+  }
+
+  const existing = await store.getWithMetadata(key, { type: 'text' });
+  const value = existing.value;
+  const metadata = existing.metadata || {};
+
+  if (value !== null && !canView(session, metadata)) {
+    return apiError(404, 'Page not found');
+  }
+
+  const etag = value === null ? null : await pageEtag(value, metadata);
+
+  if (request.method === 'GET') {
+    if (value === null) {
+      return apiError(404, 'Page not found');
+    }
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch !== null && etagMatches(ifNoneMatch, etag)) {
+      return new Response(null, { status: 304, headers: { 'ETag': etag } });
+    }
+    return jsonResponse(apiPage(key, value, metadata), 200, { 'ETag': etag });
+  }
+
+  if (!['PUT', 'PATCH', 'DELETE'].includes(request.method)) {
+    return apiError(405, 'Method not allowed', { 'Allow': 'GET, PUT, PATCH, DELETE' });
+  }
+
+  if (value === null ? !hasRole(session, 'editor') : !canEdit(session, metadata)) {
+    return apiError(403, 'Forbidden');
+  }
+
+  // KV has no compare-and-swap, so this catches stale reads rather than
+  // writes landing at the same instant
+  const failed = checkWritePreconditions(request, etag);
+  if (failed) {
+    return failed;
+  }
+
+  if (request.method === 'DELETE') {
+    if (value === null) {
+      return apiError(404, 'Page not found');
+    }
+    await trashPage(store, key, session);
+    await recordAudit(store, session, 'delete', key, 'api');
+    return new Response(null, { status: 204 });
+  }
+
+  if (request.method === 'PATCH' && value === null) {
+    return apiError(404, 'Page not found');
+  }
+
+  const body = await readJsonBody(request);
+  if (!body) {
+    return apiError(400, 'The request body must be a JSON object');
+  }
+
+  const fields = readApiPageFields(body, metadata, session);
+  if (fields.error) {
+    return apiError(400, fields.error);
+  }
+
+  if (request.method === 'PUT') {
+    if (fields.content === undefined) {
+      return apiError(400, 'content is required');
+    }
+    if (!('contentType' in body)) {
+      // PUT replaces the representation, so an omitted type goes back to detection
+      fields.changes.contentType = undefined;
+    }
+  }
+
+  const content = fields.content === undefined ? value : fields.content;
+  await writePage(store, key, content, value === null ? 'api create' : 'api edit', { ...fields.changes, author: session.user });
+  // Like saving in the editor, this supersedes any pending draft, which would
+  // otherwise overwrite the change when it is published
+  await store.delete(sysKey('draft', key));
+  await recordAudit(store, session, value === null ? 'create' : 'edit', key, 'api');
+
+  const saved = await store.getWithMetadata(key, { type: 'text' });
+  const savedMeta = saved.metadata || {};
+  const headers = { 'ETag': await pageEtag(saved.value, savedMeta) };
+  if (value === null) {
+    headers['Location'] = `/api/pages/${key}`;
+  }
+  return jsonResponse(apiPage(key, saved.value, savedMeta), value === null ? 201 : 200, headers);
+}
+
+// Each page's latest change is a "~feed" key of its own, so concurrent saves
+// of different pages can't drop each other's entries. Keys count down from
+// the largest Date value by the revision's time, so listings come back
+// newest first
+function feedKey(key, rev) {
+  return sysKey('feed', String(8.64e15 - parseInt(rev, 10)).padStart(16, '0'), key);
+}
+
+// Replaces the entry for the page's previous revision, if any. Two saves of
+// the same page at once can leave both entries; the feed shows the newer one
+async function updateFeed(store, key, entry, previousRev) {
+  if (previousRev) {
+    await store.delete(feedKey(key, previousRev));
+  }
+  if (entry) {
+    await store.put(feedKey(key, entry.rev), '', {
+      metadata: { ...entry, note: entry.note.slice(0, FEED_NOTE_LENGTH) }
+    });
+  }
+}
+
+async function listFeed(store) {
+  const prefix = sysKey('feed') + ':';
+  const entries = [];
+  const seen = new Set();
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor, limit: FEED_LENGTH });
+    for (const { name, metadata } of result.keys) {
+      const key = parseSysKey(name)[2];
+      if (!seen.has(key) && entries.length < FEED_LENGTH) {
+        seen.add(key);
+        entries.push({ key, ...metadata });
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor && entries.length < FEED_LENGTH);
+
+  return entries;
+}
+
+function isoTime(time) {
+  return new Date(time).toISOString();
+}
+
+async function serveFeed(store, request, session) {
+  const origin = new URL(request.url).origin;
+  const entries = await listFeed(store);
+
+  // Only the entries the reader can see, so <updated> doesn't give away when
+  // a private page changed
+  const items = (await Promise.all(entries.map(async entry => {
+    const { value, metadata } = await store.getWithMetadata(entry.key, { type: 'text' });
+    if (value === null || !canView(session, metadata || {})) {
+      return null;
+    }
+
+    const text = getSearchableText(entry.key, value, metadata || {});
+    const summary = text === null ? '' : text.slice(text.indexOf('\n') + 1).replace(/\s+/g, ' ').trim().slice(0, 300);
+    return { time: entry.time, xml: `
+  <entry>
+    <title>${escapeHtml((metadata && metadata.title) || decodeKey(entry.key))}</title>
+    <id>${escapeHtml(origin + pageUrl(entry.key, 'history', { rev: entry.rev }))}</id>
+    <link href="${escapeHtml(origin + pageUrl(entry.key))}"/>
+    <updated>${isoTime(entry.time)}</updated>
+    ${entry.author ? `<author><name>${escapeHtml(entry.author)}</name></author>` : ''}
+    <summary>${escapeHtml(entry.note === 'edit' ? summary : `(${entry.note}) ${summary}`)}</summary>
+  </entry>` };
+  }))).filter(Boolean);
+
+  const feed = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(FEED_TITLE)}</title>
+  <id>${escapeHtml(origin)}/feed.atom</id>
+  <link rel="self" href="${escapeHtml(origin)}/feed.atom"/>
+  <link href="${escapeHtml(origin)}/l"/>
+  <updated>${isoTime(Math.max(0, ...items.map(item => item.time)))}</updated>${items.map(item => item.xml).join('')}
+</feed>
+`;
+
+  return new Response(feed, {
+    headers: {
+      'Content-Type': 'application/atom+xml; charset=utf-8',
+      // Logged-in readers may see non-public pages
+      'Cache-Control': session ? 'private, no-store' : 'public, max-age=300'
+    }
+  });
+}
+
+async function serveSitemap(store, request) {
+  const origin = new URL(request.url).origin;
+  // Only pages anyone may read belong in a sitemap
+  const keys = (await listPageKeys(store)).filter(entry =>
+    canView(null, entry.metadata || {}) && !isRedirect(entry.metadata)
+  );
+
+  const urls = keys.slice(0, 50000).map(entry => {
+    const metadata = entry.metadata || {};
+    return `
+  <url>
+    <loc>${escapeHtml(origin + pageUrl(entry.name))}</loc>${metadata.updated ? `
+    <lastmod>${isoTime(metadata.updated)}</lastmod>` : ''}
+  </url>`;
+  }).join('');
+
+  return new Response(`<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`, {
+    headers: { 'Content-Type': 'application/xml; charset=utf-8', 'Cache-Control': 'public, max-age=3600' }
+  });
+}
+
+function serveRobots(request) {
+  const origin = new URL(request.url).origin;
+  // Rules are prefix matches, so anchor the routes to keep them off pages like /news
+  const routes = ['/l', '/s', '/new', '/create', '/logout', '/users', '/tokens', '/export', '/import'];
+  const disallowed = [...routes.flatMap(route => [`${route}$`, `${route}?`]), '/api/', '/*?action='];
+
+  return new Response([
+    'User-agent: *',
+    ...disallowed.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${origin}/sitemap.xml`,
+    ''
+  ].join('\n'), {
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+  });
+}
+
+// Returns null for no time, undefined for one that can't be parsed. The form
+// field is a datetime-local value, read as UTC
+function readPublishAt(formData) {
+  const value = (formData.get('publishAt') || '').trim();
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(/([zZ]|[+-]\d\d:\d\d)$/.test(value) ? value : `${value}Z`);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+async function getDraft(store, key) {
+  return await store.get(sysKey('draft', key), { type: 'json' });
+}
+
+async function saveDraft(store, key, content, settings, session, publishAt) {
+  const draft = { content, settings, author: session.user, updated: Date.now(), publishAt };
+  // The visibility rides along in the KV metadata so draft listings can be
+  // filtered without reading every draft
+  await store.put(sysKey('draft', key), JSON.stringify(draft), {
+    metadata: {
+      author: draft.author,
+      updated: draft.updated,
+      publishAt,
+      visibility: settings.visibility,
+      allowed: settings.allowed
+    }
+  });
+}
+
+async function publishDraft(store, key, draft, note = 'publish draft') {
+  const rev = await writePage(store, key, draft.content, note, { ...draft.settings, author: draft.author });
+  await store.delete(sysKey('draft', key));
+  return rev;
+}
+
+async function listDrafts(store, session) {
+  const prefix = sysKey('draft') + ':';
+  const drafts = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      const details = entry.metadata || {};
+      if (!session || canView(session, details)) {
+        drafts.push({ key: decodeURIComponent(entry.name.slice(prefix.length)), ...details });
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return drafts;
+}
+
+async function publishDueDrafts(store) {
+  const now = Date.now();
+  for (const { key, publishAt } of await listDrafts(store, null)) {
+    if (!publishAt || publishAt > now) {
+      continue;
     }
+    try {
+      const draft = await getDraft(store, key);
+      if (draft) {
+        await publishDraft(store, key, draft, 'scheduled publish');
+        await recordAudit(store, null, 'publish', key, 'scheduled');
+      }
+    } catch (error) {
+      // Leave the draft in place so the next run tries again
+      console.error(`Error publishing draft of ${key}:`, error);
+    }
+  }
+}
+
+async function serveDraftPreview(store, key, session, csrf) {
+  const draft = await getDraft(store, key);
+  if (!draft) {
+    return new Response('No draft for this page', {
+      status: 404,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+  }
+
+  const { metadata } = await store.getWithMetadata(key);
+  const schedule = draft.publishAt
+    ? `scheduled to publish ${formatTime(draft.publishAt)}`
+    : 'not scheduled';
+  const banner = `
+        Draft preview by ${escapeHtml(draft.author)}, saved ${formatTime(draft.updated)}, ${schedule}.
+        <a href="${pageUrl(key, 'edit')}">Edit draft</a>
+        <form action="${pageUrl(key, 'publish')}" method="post" class="inline">
+          ${csrfInput(csrf)}
+          <button type="submit">Publish now</button>
+        </form>
+        <form action="${pageUrl(key, 'discard')}" method="post" class="inline">
+          ${csrfInput(csrf)}
+          <button type="submit">Discard draft</button>
+        </form>`;
+
+  return await renderPage(store, key, draft.content, { ...(metadata || {}), ...draft.settings }, session, { banner });
+}
+
+function clientInfo(request) {
+  return {
+    ip: request.headers.get('CF-Connecting-IP') || 'unknown',
+    ua: (request.headers.get('User-Agent') || '').slice(0, AUDIT_FIELD_LENGTH)
+  };
+}
+
+// actor is a session (or anything with user and client); null means the
+// worker itself, as when the cron handler publishes drafts
+async function recordAudit(store, actor, action, page = '', detail = '') {
+  const time = Date.now();
+  const client = (actor && actor.client) || { ip: '', ua: '' };
+  const entry = {
+    time,
+    action,
+    user: actor ? String(actor.user).slice(0, 64) : null,
+    // Never cut a key inside a %-escape, so it still decodes
+    page: page.slice(0, AUDIT_FIELD_LENGTH).replace(/%[0-9a-f]?$/i, ''),
+    detail: String(detail).slice(0, AUDIT_FIELD_LENGTH),
+    ip: client.ip,
+    ua: client.ua
+  };
+
+  // Keys count down from the largest Date value, so listings come back
+  // newest first. Each entry gets its own key and is never rewritten
+  const id = String(8.64e15 - time).padStart(16, '0') + '-' + randomHex(4);
+  await store.put(sysKey('audit', id), '', {
+    metadata: entry,
+    ...(AUDIT_TTL ? { expirationTtl: AUDIT_TTL } : {})
+  });
+}
+
+// Seconds until the IP may try again, 0 when it isn't locked out
+async function loginLockout(store, ip) {
+  const record = await store.get(sysKey('login', ip), { type: 'json' });
+  if (!record || !record.lockedUntil) {
+    return 0;
   }
-  
-  if (parsedData && parsedData.fileName) {
-    const { fileName, mimeType, content } = parsedData;
-    
-    if (mimeType.startsWith('image/')) {
-      return serveImagePreview(content);
-    } else {
-      return serveFileDownload(fileName, mimeType, content);
-    }
+  return Math.max(0, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+}
+
+// KV is eventually consistent, so guesses spread across locations can get a
+// few more tries in before the lockout is seen everywhere. The failures are
+// also counted per account name, so logging in clears only that account's
+async function recordLoginFailure(store, ip, user) {
+  const record = await store.get(sysKey('login', ip), { type: 'json' }) || {};
+  const failures = (record.failures || 0) + 1;
+  const name = user.slice(0, 64);
+  const users = { ...record.users, [name]: ((record.users || {})[name] || 0) + 1 };
+
+  if (failures >= LOGIN_MAX_FAILURES) {
+    // The record expires with the lockout, so the count starts over after it
+    await store.put(sysKey('login', ip), JSON.stringify({ failures, users, lockedUntil: Date.now() + LOGIN_LOCKOUT * 1000 }), {
+      expirationTtl: Math.max(60, LOGIN_LOCKOUT)
+    });
   } else {
-    return new Response(data, { 
-      headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+    // Each failure restarts the window, so slow guessing is counted too
+    await store.put(sysKey('login', ip), JSON.stringify({ failures, users }), {
+      expirationTtl: Math.max(60, LOGIN_WINDOW)
     });
   }
+  return failures;
 }
 
-function serveImagePreview(imageContent) {
-  const html = `<!DOCTYPE html>
-  <html>
-    <head>
-      <title>Image Preview</title>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <style>
-        body {
-          font-family: system-ui, -apple-system, sans-serif;
-          margin: 40px auto;
-          max-width: 650px;
-          line-height: 1.6;
-          padding: 0 10px;
-        }
-        .actions {
-          margin: 20px 0;
-        }
-        .actions a {
-          color: #000;
-          text-decoration: none;
-          margin-right: 15px;
-        }
-        .actions a:hover {
-          text-decoration: underline;
-        }
-        img {
-          max-width: 100%;
-          height: auto;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="actions">
-        <a href="javascript:history.back()">Back</a>
-        <a href="/l">All Pages</a>
-      </div>
-      <img src="${imageContent}" alt="Image Preview">
-    </body>
-  </html>`;
-  
-  return new Response(html, { 
-    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
-  });
-}
+// Failures against other accounts keep counting, so knowing one password
+// doesn't let an IP go on guessing the rest
+async function clearLoginFailures(store, ip, user) {
+  const record = await store.get(sysKey('login', ip), { type: 'json' });
+  const name = user.slice(0, 64);
+  const own = record && record.users ? record.users[name] || 0 : 0;
+  if (!own) {
+    return;
+  }
 
-function serveFileDownload(fileName, mimeType, content) {
-  const base64Content = content.split('base64,')[1];
-  const binaryData = atob(base64Content);
-  const arrayBuffer = new Uint8Array(binaryData.length);
-  
-  for (let i = 0; i < binaryData.length; i++) {
-    arrayBuffer[i] = binaryData.charCodeAt(i);
+  const users = { ...record.users };
+  delete users[name];
+  const failures = record.failures - own;
+  if (failures > 0) {
+    await store.put(sysKey('login', ip), JSON.stringify({ failures, users }), {
+      expirationTtl: Math.max(60, LOGIN_WINDOW)
+    });
+  } else {
+    await store.delete(sysKey('login', ip));
   }
-  
-  const headers = {
-    'Content-Disposition': `attachment; filename="${encodeURIComponent(fileName)}"`,
-    'Content-Type': mimeType
-  };
-  
-  return new Response(arrayBuffer, { headers });
 }
 
-async function serveEditForm(key) {
-  const data = await KV.get(key, { type: "text" }) || "";
-  
-  const encodedData = data
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;')
-    .replace(/\n/g, '&#10;')
-    .replace(/\r/g, '&#13;')
-    .replace(/\t/g, '&#9;');
-  
-  const form = `
+function auditMatches(entry, filters) {
+  return (!filters.action || entry.action === filters.action) &&
+    (!filters.user || entry.user === filters.user) &&
+    (!filters.page || decodeKey(entry.page).startsWith(filters.page)) &&
+    (!filters.ip || entry.ip === filters.ip);
+}
+
+// KV cursors can only resume at batch boundaries, so every batch that is
+// read is shown in full and a page may hold a little more than
+// AUDIT_PAGE_SIZE entries
+async function listAuditEntries(store, filters, cursor) {
+  const prefix = sysKey('audit') + ':';
+  const entries = [];
+  let scanned = 0;
+
+  do {
+    const result = await store.list({ prefix, cursor: cursor || undefined, limit: AUDIT_PAGE_SIZE });
+    scanned += result.keys.length;
+    for (const key of result.keys) {
+      if (key.metadata && auditMatches(key.metadata, filters)) {
+        entries.push(key.metadata);
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor && entries.length < AUDIT_PAGE_SIZE && scanned < AUDIT_SCAN_LIMIT);
+
+  return { entries, cursor, scanned };
+}
+
+async function serveAuditPage(store, request) {
+  const url = new URL(request.url);
+  const filters = {
+    action: AUDIT_ACTIONS.includes(url.searchParams.get('action')) ? url.searchParams.get('action') : '',
+    user: (url.searchParams.get('user') || '').trim().toLowerCase(),
+    page: (url.searchParams.get('page') || '').trim(),
+    ip: (url.searchParams.get('ip') || '').trim()
+  };
+  const filtered = Object.values(filters).some(Boolean);
+  const { entries, cursor, scanned } = await listAuditEntries(store, filters, url.searchParams.get('cursor'));
+
+  const auditUrl = params => {
+    const query = new URLSearchParams(Object.entries({ ...filters, ...params }).filter(([, value]) => value)).toString();
+    return `/audit${query ? `?${query}` : ''}`;
+  };
+  const actionOptions = ['', ...AUDIT_ACTIONS].map(action =>
+    `<option value="${action}"${action === filters.action ? ' selected' : ''}>${action || 'All actions'}</option>`
+  ).join('');
+
+  const rows = entries.map(entry => `
+    <tr>
+      <td class="time">${formatTime(entry.time)}</td>
+      <td>${entry.user === null ? '<em>system</em>' : `<a href="${escapeHtml(auditUrl({ user: entry.user, cursor: '' }))}">${escapeHtml(entry.user)}</a>`}</td>
+      <td><span class="action${entry.action.startsWith('login-') ? ' warn' : ''}">${escapeHtml(entry.action)}</span></td>
+      <td>${entry.page ? `<a href="${escapeHtml(pageUrl(entry.page))}">${escapeHtml(decodeKey(entry.page))}</a>` : ''}</td>
+      <td>${escapeHtml(entry.detail)}</td>
+      <td>${entry.ip ? `<a href="${escapeHtml(auditUrl({ ip: entry.ip, cursor: '' }))}" title="${escapeHtml(entry.ua)}">${escapeHtml(entry.ip)}</a>` : ''}</td>
+    </tr>`
+  ).join('');
+
+  const pagerLinks = [
+    url.searchParams.get('cursor') ? `<a href="${escapeHtml(auditUrl({ cursor: '' }))}">← Newest</a>` : '',
+    cursor ? `<a href="${escapeHtml(auditUrl({ cursor }))}">Older →</a>` : ''
+  ].filter(Boolean).join(' · ');
+
+  const page = `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Edit Page</title>
+      <title>Audit Log</title>
       <style>
         body {
           font-family: system-ui, -apple-system, sans-serif;
           margin: 40px auto;
-          max-width: 650px;
+          max-width: 1000px;
           line-height: 1.6;
           padding: 0 10px;
         }
-        textarea {
+        table {
           width: 100%;
-          height: 300px;
-          margin: 10px 0;
-          padding: 8px;
-          border: 1px solid #ddd;
-          font-family: monospace;
+          border-collapse: collapse;
+          font-size: 0.9em;
         }
-        input[type="file"] {
-          margin: 10px 0;
+        td, th {
+          padding: 6px;
+          border-bottom: 1px solid #eee;
+          text-align: left;
+          vertical-align: top;
+        }
+        input, select {
+          padding: 6px;
+          border: 1px solid #ddd;
         }
         button {
-          padding: 8px 16px;
+          padding: 6px 12px;
           background: #000;
           color: #fff;
           border: none;
           cursor: pointer;
         }
+        a {
+          color: #000;
+        }
+        .time {
+          white-space: nowrap;
+          color: #555;
+        }
+        .action {
+          font-size: 0.85em;
+          padding: 0 6px;
+          border: 1px solid #999;
+          border-radius: 8px;
+          white-space: nowrap;
+        }
+        .warn {
+          border-color: #d00;
+          color: #d00;
+        }
+        .note {
+          font-size: 0.9em;
+          color: #555;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
+        }
       </style>
     </head>
     <body>
-      <h1>Edit "${decodeURIComponent(key)}"</h1>
-      <form action="/${key}/e" method="post" enctype="multipart/form-data">
-        <textarea name="content">${encodedData}</textarea>
-        <div>
-          <input type="file" name="file">
-        </div>
-        <button type="submit">Save</button>
+      <div class="actions">
+        <a href="/l">← Back to Pages</a>
+      </div>
+      <h1>Audit Log</h1>
+      <form method="get" action="/audit">
+        <select name="action">${actionOptions}</select>
+        <input type="text" name="user" placeholder="User" value="${escapeHtml(filters.user)}">
+        <input type="text" name="page" placeholder="Page or prefix" value="${escapeHtml(filters.page)}">
+        <input type="text" name="ip" placeholder="IP address" value="${escapeHtml(filters.ip)}">
+        <button type="submit">Filter</button>
+        ${filtered ? '<a href="/audit">Clear</a>' : ''}
       </form>
+      ${entries.length === 0 ? `<p>${filtered ? 'No matching entries.' : 'No entries yet.'}</p>` : `
+      <table>
+        <tr><th>Time</th><th>User</th><th>Action</th><th>Page</th><th>Details</th><th>IP</th></tr>
+        ${rows}
+      </table>`}
+      ${filtered && cursor ? `<p class="note">Searched the latest ${scanned} entries.</p>` : ''}
+      <p>${pagerLinks}</p>
     </body>
     </html>
   `;
-  
-  return new Response(form, { 
-    status: 200, 
-    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
   });
 }
 
-async function savePage(request, key) {
-  try {
-    const formData = await request.formData();
-    const content = formData.get('content');
-    const file = formData.get('file');
-    let value;
-    
-    if (file && file.size > 0) {
-      const imageBuffer = await file.arrayBuffer();
-      const base64 = arrayBufferToBase64(imageBuffer);
-      const mimeType = file.type;
-      
-      value = JSON.stringify({
-        fileName: file.name,
-        mimeType: mimeType,
-        content: `data:${mimeType};base64,${base64}`
-      });
-    } else {
-      value = content;
+// Share tokens are "{id}.{signature}", so forged or mistyped tokens are
+// turned away without a KV read
+async function shareToken(id) {
+  return `${id}.${await signValue(`share:${id}`)}`;
+}
+
+async function readShareToken(token) {
+  const [id, signature] = String(token).split('.');
+  if (!/^[0-9a-f]{24}$/.test(id || '') || !signature || !await verifySignature(`share:${id}`, signature)) {
+    return null;
+  }
+  return id;
+}
+
+async function listShareLinks(store, key) {
+  const prefix = sysKey('share', key) + ':';
+  const links = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      // KV drops expired records on its own schedule
+      if (entry.metadata && entry.metadata.expires > Date.now()) {
+        links.push({ id: decodeURIComponent(entry.name.slice(prefix.length)), ...entry.metadata });
+      }
     }
-    
-    await KV.put(key, value);
-    
-    return new Response('', { 
-      status: 302,
-      headers: { 'Location': `/${key}` }
-    });
-  } catch (error) {
-    console.error('Error saving page:', error);
-    return new Response('Save failed', { status: 500 });
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return links.sort((a, b) => b.created - a.created);
+}
+
+// KV refuses expirations less than 60 seconds away, which a link in its last
+// minute would ask for. Expiry is checked against link.expires anyway
+async function putShareLink(store, key, id, link) {
+  await store.put(sysKey('share', key, id), '', {
+    metadata: link,
+    expiration: Math.max(Math.floor(Date.now() / 1000) + 60, Math.floor(link.expires / 1000))
+  });
+}
+
+// Returns {link}, or {status, error} when the token doesn't open this page.
+// Page views count against the link's view limit, attachment downloads don't
+async function useShareLink(store, key, token, countView) {
+  const id = await readShareToken(token);
+  const { value, metadata: link } = id ? await store.getWithMetadata(sysKey('share', key, id)) : {};
+  if (!id || value === null || !link) {
+    return { status: 404, error: 'Page not found' };
+  }
+  if (link.expires <= Date.now()) {
+    return { status: 410, error: 'This share link has expired' };
+  }
+  if (link.maxViews && link.views >= link.maxViews) {
+    return { status: 410, error: 'This share link has been used up' };
   }
+
+  if (countView) {
+    // Without compare-and-swap, views landing at the same time may count once
+    await putShareLink(store, key, id, { ...link, views: link.views + 1 });
+  }
+  return { link };
 }
 
-function arrayBufferToBase64(buffer) {
-  let binary = '';
-  const bytes = new Uint8Array(buffer);
-  const byteLength = bytes.byteLength;
-  
-  for (let i = 0; i < byteLength; i++) {
-    binary += String.fromCharCode(bytes[i]);
+async function moveShareLinks(store, oldKey, newKey) {
+  for (const { id, ...link } of await listShareLinks(store, oldKey)) {
+    await putShareLink(store, newKey, id, link);
+    await store.delete(sysKey('share', oldKey, id));
   }
-  
-  return btoa(binary);
 }
 
-async function deletePage(key) {
-  try {
-    await KV.delete(key);
-    
-    return new Response('', { 
-      status: 302,
-      headers: { 'Location': '/l' }
-    });
-  } catch (error) {
-    console.error('Error deleting page:', error);
-    return new Response('Delete failed', { status: 500 });
+async function deleteShareLinks(store, key) {
+  for (const { id } of await listShareLinks(store, key)) {
+    await store.delete(sysKey('share', key, id));
   }
 }
 
-async function confirmDeletePage(key) {
-  const decodedKey = decodeURIComponent(key);
-  
+async function updateShareLinks(store, formData, key, session) {
+  const action = formData.get('action');
+
+  if (action === 'create') {
+    const hours = Number(formData.get('expires'));
+    const maxViews = Number(formData.get('maxViews') || 0);
+    if (!SHARE_EXPIRY_HOURS.includes(hours)) {
+      return new Response('Unknown expiry', { status: 400 });
+    }
+    if (!Number.isInteger(maxViews) || maxViews < 0) {
+      return new Response('The view limit must be a whole number', { status: 400 });
+    }
+
+    const now = Date.now();
+    const link = {
+      expires: now + hours * 60 * 60 * 1000,
+      maxViews,
+      views: 0,
+      attachments: formData.get('attachments') === 'on',
+      created: now,
+      by: session.user
+    };
+    await putShareLink(store, key, randomHex(12), link);
+    await recordAudit(store, session, 'share', key, `create, expires ${formatTime(link.expires)}${maxViews ? `, ${maxViews} views` : ''}${link.attachments ? ', with attachments' : ''}`);
+    return redirect(pageUrl(key, 'share'));
+  }
+
+  if (action === 'revoke') {
+    const id = formData.get('id') || '';
+    const { value } = await store.getWithMetadata(sysKey('share', key, id));
+    if (value === null) {
+      return new Response('Share link not found', { status: 404 });
+    }
+    await store.delete(sysKey('share', key, id));
+    await recordAudit(store, session, 'share', key, 'revoke');
+    return redirect(pageUrl(key, 'share'));
+  }
+
+  return new Response('Unknown action', { status: 400 });
+}
+
+async function serveSharePage(store, key, csrf, origin) {
+  const decodedKey = decodeKey(key);
+  const links = await listShareLinks(store, key);
+  const expiryLabel = hours => hours % 24 === 0 ? `${hours / 24} day${hours === 24 ? '' : 's'}` : `${hours} hour${hours === 1 ? '' : 's'}`;
+  const expiryOptions = SHARE_EXPIRY_HOURS.map(hours =>
+    `<option value="${hours}"${hours === SHARE_DEFAULT_EXPIRY ? ' selected' : ''}>${expiryLabel(hours)}</option>`
+  ).join('');
+
+  const rows = (await Promise.all(links.map(async link => `
+    <tr>
+      <td class="link"><code>${escapeHtml(origin + pageUrl(key, null, { share: await shareToken(link.id) }))}</code></td>
+      <td>${formatTime(link.expires)}</td>
+      <td>${link.views}${link.maxViews ? ` of ${link.maxViews}` : ''}</td>
+      <td>${link.attachments ? 'Yes' : 'No'}</td>
+      <td>${escapeHtml(link.by || '')}</td>
+      <td>
+        <form method="post" class="inline">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="action" value="revoke">
+          <input type="hidden" name="id" value="${escapeHtml(link.id)}">
+          <button type="submit" class="delete">Revoke</button>
+        </form>
+      </td>
+    </tr>`
+  ))).join('');
+
   const page = `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Confirm Delete</title>
+      <title>Share: ${escapeHtml(decodedKey)}</title>
       <style>
         body {
           font-family: system-ui, -apple-system, sans-serif;
           margin: 40px auto;
-          max-width: 650px;
+          max-width: 800px;
           line-height: 1.6;
           padding: 0 10px;
         }
-        .actions {
-          margin: 20px 0;
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9em;
+        }
+        td, th {
+          padding: 6px;
+          border-bottom: 1px solid #eee;
+          text-align: left;
+        }
+        .link {
+          word-break: break-all;
+        }
+        input, select {
+          padding: 6px;
+          border: 1px solid #ddd;
         }
         button {
-          padding: 8px 16px;
-          margin-right: 10px;
+          padding: 6px 12px;
+          background: #000;
+          color: #fff;
           border: none;
           cursor: pointer;
         }
         .delete {
           background: #d00;
-          color: #fff;
         }
-        .cancel {
-          background: #000;
-          color: #fff;
+        .inline {
+          display: inline;
+        }
+        .actions {
+          margin: 20px 0;
+        }
+        .actions a {
+          color: #000;
+          text-decoration: none;
+          margin-right: 15px;
+        }
+        .actions a:hover {
+          text-decoration: underline;
         }
       </style>
     </head>
     <body>
-      <h1>Confirm Delete</h1>
-      <p>Are you sure you want to delete "${decodedKey}"?</p>
       <div class="actions">
-        <form action="/${key}/d" method="post" style="display: inline">
-          <button type="submit" class="delete">Delete</button>
-        </form>
-        <a href="/${key}"><button class="cancel">Cancel</button></a>
+        <a href="${pageUrl(key)}">← Back to Page</a>
       </div>
+      <h1>Share Links: ${escapeHtml(decodedKey)}</h1>
+      <p>Anyone with a link can read this page until the link expires, is used up or is revoked, without logging in.</p>
+      ${links.length === 0 ? '<p>No active links.</p>' : `
+      <table>
+        <tr><th>Link</th><th>Expires</th><th>Views</th><th>Attachments</th><th>By</th><th></th></tr>
+        ${rows}
+      </table>`}
+      <h2>New Link</h2>
+      <form method="post">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="action" value="create">
+        <label>Expires in <select name="expires">${expiryOptions}</select></label>
+        <label>View limit <input type="number" name="maxViews" min="1" placeholder="None"></label>
+        <label><input type="checkbox" name="attachments"> Include attachments</label>
+        <button type="submit">Create Link</button>
+      </form>
     </body>
     </html>
   `;
-  
-  return new Response(page, { 
-    status: 200, 
-    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }
+  });
+}
+
+// Moves a page's content, settings, attachments, draft and comments into
+// "~trash:{id}:{item}" keys, one per item, so no record has to hold the whole
+// page. The "~trash:{id}" key that lists the entry is written last, once every
+// item is in place. Attachment blobs stay where they are until the entry is
+// purged, so trashing never copies file data
+async function trashPage(store, key, session) {
+  const { value, metadata } = await store.getWithMetadata(key, { type: 'text' });
+  if (value === null) {
+    return null;
+  }
+  if (isRedirect(metadata)) {
+    // Stubs hold nothing worth restoring
+    await removePage(store, key);
+    return null;
+  }
+
+  const pageMeta = metadata || {};
+  const attachments = await listAttachments(store, key);
+  const draft = await store.getWithMetadata(sysKey('draft', key), { type: 'text' });
+  const deleted = Date.now();
+  const id = String(deleted).padStart(13, '0') + '-' + randomHex(2);
+
+  await store.put(sysKey('trash', id, 'page'), value, { metadata: pageMeta });
+  for (const attachment of attachments) {
+    await store.put(sysKey('trash', id, 'att', attachment.name), '', { metadata: attachment });
+  }
+  if (draft.value !== null) {
+    await store.put(sysKey('trash', id, 'draft'), draft.value, { metadata: draft.metadata });
+  }
+  for (const thread of await listThreads(store, key)) {
+    await store.put(sysKey('trash', id, 'comment', thread.id), JSON.stringify(thread));
+  }
+
+  await store.put(sysKey('trash', id), '', {
+    // Enough to list and filter the trash without reading every entry
+    metadata: {
+      key,
+      deleted,
+      by: session ? session.user : null,
+      visibility: pageMeta.visibility,
+      allowed: pageMeta.allowed,
+      attachments: attachments.length
+    }
   });
+
+  for (const attachment of attachments) {
+    await store.delete(sysKey('att', key, attachment.name));
+  }
+  await removePage(store, key);
+  return id;
 }
 
-async function listPages() {
-  try {
-    const keysResult = await KV.list();
-    
-    if (keysResult.keys.length === 0) {
-      return serveEmptyListPage();
+// Oldest first, as the ids start with the time of deletion
+async function listTrash(store) {
+  const prefix = sysKey('trash') + ':';
+  const entries = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      // Items of an entry sort right after it and have more name parts
+      const [, id, item] = parseSysKey(entry.name);
+      if (item === undefined && entry.metadata) {
+        entries.push({ id, ...entry.metadata });
+      }
     }
-    
-    return serveListPage(keysResult.keys);
-  } catch (error) {
-    console.error('Error listing pages:', error);
-    return new Response('Error listing pages', { 
-      status: 500, 
-      headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return entries;
+}
+
+// The item keys of a trash entry, as [kind, name] with the name of the
+// attachment or comment thread
+async function listTrashItems(store, id) {
+  const prefix = sysKey('trash', id) + ':';
+  const items = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      const [kind, name] = parseSysKey(entry.name).slice(2);
+      items.push({ key: entry.name, kind, name, metadata: entry.metadata });
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return items;
+}
+
+async function restoreFromTrash(store, id, session) {
+  const { metadata: entry } = await store.getWithMetadata(sysKey('trash', id));
+  const page = entry ? await store.getWithMetadata(sysKey('trash', id, 'page'), { type: 'text' }) : null;
+  if (!page || page.value === null) {
+    return new Response('Not in the trash', { status: 404 });
+  }
+  const pageMeta = page.metadata || {};
+  if (!canEdit(session, pageMeta)) {
+    return forbidden();
+  }
+
+  const existing = await store.getWithMetadata(entry.key);
+  if (existing.value !== null && !isRedirect(existing.metadata)) {
+    return new Response(`"${decodeKey(entry.key)}" exists again. Rename or delete it before restoring.`, {
+      status: 409,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' }
     });
   }
+
+  // Revisions never left their keys, so the restore lands on top of the history
+  const { rev, updated, ...settings } = pageMeta;
+  await writePage(store, entry.key, page.value, 'restore from trash', { ...settings, author: session.user });
+  for (const item of await listTrashItems(store, id)) {
+    if (item.kind === 'att') {
+      await store.put(sysKey('att', entry.key, item.name), '', { metadata: item.metadata });
+    } else if (item.kind === 'draft') {
+      const draft = await store.getWithMetadata(item.key, { type: 'text' });
+      if (draft.value !== null && await store.get(sysKey('draft', entry.key)) === null) {
+        await store.put(sysKey('draft', entry.key), draft.value, { metadata: draft.metadata });
+      }
+    } else if (item.kind === 'comment') {
+      const thread = await store.get(item.key, { type: 'json' });
+      if (thread) {
+        await putThread(store, entry.key, thread);
+      }
+    }
+    await store.delete(item.key);
+  }
+
+  await store.delete(sysKey('trash', id));
+  await recordAudit(store, session, 'restore', entry.key, 'from trash');
+  return redirect(pageUrl(entry.key));
+}
+
+// How many trash entries hold each page name
+function countTrashedKeys(entries) {
+  const trashed = new Map();
+  for (const entry of entries) {
+    trashed.set(entry.key, (trashed.get(entry.key) || 0) + 1);
+  }
+  return trashed;
+}
+
+// Batches pass in the counts of trashed page names they listed once, which
+// this keeps up to date, instead of listing the whole trash for every entry
+async function purgeTrash(store, id, trashed) {
+  const { metadata: entry } = await store.getWithMetadata(sysKey('trash', id));
+  if (!entry) {
+    return null;
+  }
+  trashed = trashed || countTrashedKeys(await listTrash(store));
+  trashed.set(entry.key, (trashed.get(entry.key) || 1) - 1);
+
+  for (const item of await listTrashItems(store, id)) {
+    if (item.kind === 'att') {
+      await deleteBlob(store, item.metadata);
+    }
+    await store.delete(item.key);
+  }
+  await store.delete(sysKey('trash', id));
+
+  // The history goes too, unless the name is in use again or another
+  // trashed copy of the page still builds on it
+  const inUse = trashed.get(entry.key) > 0 || await store.get(entry.key) !== null;
+  if (!inUse) {
+    for (const { rev } of await listRevisions(store, entry.key)) {
+      await store.delete(sysKey('rev', entry.key, rev));
+    }
+  }
+  return entry.key;
+}
+
+// Purges the entries deleted before the given time, oldest first, until the
+// batch has used BATCH_OPERATIONS storage operations. Returns how many were
+// purged and how many of them are left for another batch
+async function purgeTrashBatch(store, session, before, detail) {
+  const counted = countingStore(store);
+  const entries = await listTrash(counted);
+  const trashed = countTrashedKeys(entries);
+  const due = entries.filter(entry => entry.deleted < before);
+  let purged = 0;
+
+  for (const [index, entry] of due.entries()) {
+    if (counted.operations >= BATCH_OPERATIONS) {
+      return { purged, left: due.length - index };
+    }
+    try {
+      await purgeTrash(counted, entry.id, trashed);
+      await recordAudit(counted, session, 'purge', entry.key, detail);
+      purged++;
+    } catch (error) {
+      // Left for the next batch
+      console.error(`Error purging ${entry.id} from the trash:`, error);
+    }
+  }
+  return { purged, left: 0 };
+}
+
+// Each run purges one batch; whatever is left goes in the next runs
+async function purgeExpiredTrash(store) {
+  if (!TRASH_RETENTION_DAYS) {
+    return;
+  }
+
+  await purgeTrashBatch(store, null, Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000, 'retention');
+}
+
+async function updateTrash(store, formData, session) {
+  const action = formData.get('action');
+  const id = formData.get('id') || '';
+
+  if (action === 'restore') {
+    return await restoreFromTrash(store, id, session);
+  }
+
+  if (!hasRole(session, 'admin')) {
+    return forbidden();
+  }
+
+  if (action === 'purge') {
+    const key = await purgeTrash(store, id);
+    if (key === null) {
+      return new Response('Not in the trash', { status: 404 });
+    }
+    await recordAudit(store, session, 'purge', key);
+    return redirect('/trash');
+  }
+
+  if (action === 'empty') {
+    const progress = await purgeTrashBatch(store, session, Infinity, 'emptied trash');
+    return progress.left > 0 ? serveEmptyTrashProgress(progress, await csrfToken(session)) : redirect('/trash');
+  }
+
+  return new Response('Unknown action', { status: 400 });
 }
 
-function serveEmptyListPage() {
+function serveEmptyTrashProgress(progress, csrf) {
   const page = `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Pages</title>
+      <title>Emptying Trash</title>
       <style>
         body {
           font-family: system-ui, -apple-system, sans-serif;
@@ -665,51 +6740,66 @@ function serveEmptyListPage() {
           line-height: 1.6;
           padding: 0 10px;
         }
-        .create-new {
-          display: inline-block;
+        button {
           padding: 8px 16px;
-          background: #000;
+          background: #d00;
           color: #fff;
-          text-decoration: none;
+          border: none;
+          cursor: pointer;
         }
       </style>
     </head>
     <body>
-      <h1>Pages</h1>
-      <p>No pages found</p>
-      <a href="/new" class="create-new">Create New Page</a>
+      <h1>Emptying Trash</h1>
+      <p>Purged ${progress.purged} page${progress.purged === 1 ? '' : 's'}; ${progress.left} left.</p>
+      <p>Each request purges one batch, to stay within the storage operations a request may make. Continue to purge the next batch.</p>
+      <form action="/trash" method="post">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="action" value="empty">
+        <button type="submit">Continue</button>
+      </form>
     </body>
     </html>
   `;
-  
-  return new Response(page, { 
-    status: 200, 
-    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+
+  return new Response(page, {
+    status: 202,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
   });
 }
 
-function serveListPage(keys) {
-  const sortedKeys = [...keys].sort((a, b) => 
-    decodeURIComponent(a.name).localeCompare(decodeURIComponent(b.name))
-  );
-  
-  const listHtml = sortedKeys.map(key => 
-    `<li>
-      <a href="/${key.name}">${decodeURIComponent(key.name)}</a>
-      <span class="actions">
-        <a href="/${key.name}/e">Edit</a>
-        <a href="/${key.name}/d">Delete</a>
-      </span>
-    </li>`
+async function serveTrashPage(store, session, csrf) {
+  const isAdmin = hasRole(session, 'admin');
+  const entries = (await listTrash(store)).filter(entry => canView(session, entry)).reverse();
+
+  const rows = entries.map(entry => `
+    <tr>
+      <td>${escapeHtml(decodeKey(entry.key))}${entry.attachments ? ` <span class="note">+${entry.attachments} attachment${entry.attachments === 1 ? '' : 's'}</span>` : ''}</td>
+      <td>${formatTime(entry.deleted)}${entry.by ? ` by ${escapeHtml(entry.by)}` : ''}</td>
+      <td>
+        ${canEdit(session, entry) ? `<form method="post" class="inline">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="action" value="restore">
+          <input type="hidden" name="id" value="${escapeHtml(entry.id)}">
+          <button type="submit">Restore</button>
+        </form>` : ''}
+        ${isAdmin ? `<form method="post" class="inline">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="action" value="purge">
+          <input type="hidden" name="id" value="${escapeHtml(entry.id)}">
+          <button type="submit" class="delete">Purge</button>
+        </form>` : ''}
+      </td>
+    </tr>`
   ).join('');
-  
+
   const page = `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Pages</title>
+      <title>Trash</title>
       <style>
         body {
           font-family: system-ui, -apple-system, sans-serif;
@@ -718,78 +6808,469 @@ function serveListPage(keys) {
           line-height: 1.6;
           padding: 0 10px;
         }
-        ul {
-          list-style: none;
-          padding: 0;
+        table {
+          width: 100%;
+          border-collapse: collapse;
         }
-        li {
-          padding: 8px 0;
+        td, th {
+          padding: 6px;
           border-bottom: 1px solid #eee;
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
+          text-align: left;
         }
-        a {
-          color: #000;
-          text-decoration: none;
+        button {
+          padding: 6px 12px;
+          background: #000;
+          color: #fff;
+          border: none;
+          cursor: pointer;
         }
-        a:hover {
-          text-decoration: underline;
+        .delete {
+          background: #d00;
+        }
+        .inline {
+          display: inline;
+        }
+        .note {
+          font-size: 0.85em;
+          color: #777;
         }
         .actions {
-          font-size: 0.9em;
+          margin: 20px 0;
         }
         .actions a {
-          margin-left: 10px;
-        }
-        .create-new {
-          display: inline-block;
-          padding: 8px 16px;
-          background: #000;
-          color: #fff;
+          color: #000;
           text-decoration: none;
-          margin-top: 20px;
+          margin-right: 15px;
         }
-        .create-new:hover {
-          text-decoration: none;
-          opacity: 0.9;
+        .actions a:hover {
+          text-decoration: underline;
         }
       </style>
     </head>
     <body>
-      <h1>Pages</h1>
-      <ul>${listHtml}</ul>
-      <a href="/new" class="create-new">Create New Page</a>
+      <div class="actions">
+        <a href="/l">← Back to Pages</a>
+      </div>
+      <h1>Trash</h1>
+      <p class="note">${TRASH_RETENTION_DAYS ? `Deleted pages are purged for good after ${TRASH_RETENTION_DAYS} days.` : 'Deleted pages stay here until an admin purges them.'} Restoring puts a page back under its old name, with its attachments and history.</p>
+      ${entries.length === 0 ? '<p>The trash is empty.</p>' : `
+      <table>
+        <tr><th>Page</th><th>Deleted</th><th></th></tr>
+        ${rows}
+      </table>`}
+      ${isAdmin && entries.length > 0 ? `
+      <form method="post">
+        ${csrfInput(csrf)}
+        <input type="hidden" name="action" value="empty">
+        <button type="submit" class="delete">Empty Trash</button>
+      </form>` : ''}
     </body>
     </html>
   `;
-  
-  return new Response(page, { 
-    status: 200, 
-    headers: { 'Content-Type': 'text/html; charset=utf-8' } 
+
+  return new Response(page, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
   });
 }
 
-async function renamePage(oldKey, newKey) {
-  try {
-    const data = await KV.get(oldKey);
-    
-    if (!data) {
-      return new Response('Original page not found', { 
-        status: 404,
-        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
-      });
+async function getThread(store, key, id) {
+  return await store.get(sysKey('comment', key, id), { type: 'json' });
+}
+
+async function putThread(store, key, thread) {
+  await store.put(sysKey('comment', key, thread.id), JSON.stringify(thread));
+}
+
+// Oldest first, as thread ids start with the time they were opened
+async function listThreads(store, key) {
+  const prefix = sysKey('comment', key) + ':';
+  const ids = [];
+  let cursor;
+
+  do {
+    const result = await store.list({ prefix, cursor });
+    for (const entry of result.keys) {
+      ids.push(decodeURIComponent(entry.name.slice(prefix.length)));
     }
-    
-    await KV.put(newKey, data);
-    await KV.delete(oldKey);
-    
-    return new Response('', { 
-      status: 302,
-      headers: { 'Location': `/${newKey}` }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  return (await Promise.all(ids.map(id => getThread(store, key, id)))).filter(Boolean);
+}
+
+async function moveComments(store, oldKey, newKey) {
+  for (const thread of await listThreads(store, oldKey)) {
+    await putThread(store, newKey, thread);
+    await store.delete(sysKey('comment', oldKey, thread.id));
+  }
+}
+
+async function deleteComments(store, key) {
+  for (const thread of await listThreads(store, key)) {
+    await store.delete(sysKey('comment', key, thread.id));
+  }
+}
+
+// Each thread is one record, rewritten as a whole. KV has no compare-and-swap,
+// so two replies landing at the same instant can lose one of them
+async function updateComments(store, formData, key, session, pageMeta) {
+  const op = formData.get('op');
+  const body = (formData.get('body') || '').trim();
+  const isAdmin = hasRole(session, 'admin');
+
+  const page = await store.getWithMetadata(key);
+  if (page.value === null || isRedirect(page.metadata)) {
+    return new Response('Page not found', { status: 404 });
+  }
+  if (['new', 'reply', 'edit'].includes(op)) {
+    if (!body) {
+      return new Response('Comments cannot be empty', { status: 400 });
+    }
+    if (body.length > COMMENT_MAX_LENGTH) {
+      return new Response(`Comments are limited to ${COMMENT_MAX_LENGTH} characters`, { status: 400 });
+    }
+  }
+
+  const now = Date.now();
+  const comment = { id: randomHex(4), author: session.user, body, created: now };
+
+  if (op === 'new') {
+    const thread = {
+      id: String(now).padStart(13, '0') + '-' + randomHex(2),
+      author: session.user,
+      created: now,
+      resolved: null,
+      comments: [comment]
+    };
+    await putThread(store, key, thread);
+    await recordAudit(store, session, 'comment', key, 'new thread');
+    return redirect(`${pageUrl(key)}#thread-${thread.id}`);
+  }
+
+  const thread = await getThread(store, key, formData.get('thread') || '');
+  if (!thread) {
+    return new Response('Thread not found', { status: 404 });
+  }
+  const target = thread.comments.find(existing => existing.id === formData.get('comment'));
+
+  if (op === 'reply') {
+    if (thread.resolved) {
+      return new Response('Reopen the thread to reply', { status: 409 });
+    }
+    if (thread.comments.length >= COMMENTS_PER_THREAD) {
+      return new Response(`Threads are limited to ${COMMENTS_PER_THREAD} comments; start a new one`, { status: 409 });
+    }
+    thread.comments.push(comment);
+  } else if (op === 'edit') {
+    if (!target) {
+      return new Response('Comment not found', { status: 404 });
+    }
+    // Admins can edit anyone's comment, and the comment says so
+    if (target.author !== session.user && !isAdmin) {
+      return forbidden();
+    }
+    target.body = body;
+    target.edited = now;
+    target.editedBy = session.user;
+  } else if (op === 'resolve' || op === 'reopen') {
+    if (thread.author !== session.user && !canEdit(session, pageMeta)) {
+      return forbidden();
+    }
+    thread.resolved = op === 'resolve' ? { by: session.user, time: now } : null;
+  } else if (op === 'delete') {
+    if (!isAdmin) {
+      return forbidden();
+    }
+    thread.comments = target ? thread.comments.filter(existing => existing !== target) : [];
+  } else {
+    return new Response('Unknown action', { status: 400 });
+  }
+
+  if (thread.comments.length === 0) {
+    await store.delete(sysKey('comment', key, thread.id));
+    await recordAudit(store, session, 'comment', key, 'delete thread');
+    return redirect(`${pageUrl(key)}#comments`);
+  }
+
+  await putThread(store, key, thread);
+  await recordAudit(store, session, 'comment', key, `${op}${target && target.author !== session.user ? ` (by ${target.author})` : ''}`);
+  return redirect(`${pageUrl(key)}#thread-${thread.id}`);
+}
+
+async function renderComments(store, key, threads, session, pageMeta, csrf) {
+  const isAdmin = hasRole(session, 'admin');
+  const action = pageUrl(key, 'comment');
+  const existingPages = await findExistingPages(store, extractWikiLinks(
+    threads.flatMap(thread => thread.comments.map(comment => comment.body)).join('\n')
+  ));
+  const hidden = (op, thread, comment) => `${csrfInput(csrf)}
+          <input type="hidden" name="op" value="${op}">
+          <input type="hidden" name="thread" value="${escapeHtml(thread.id)}">
+          ${comment ? `<input type="hidden" name="comment" value="${escapeHtml(comment.id)}">` : ''}`;
+
+  const renderComment = (thread, comment) => `
+        <div class="comment" id="comment-${escapeHtml(comment.id)}">
+          <div class="comment-meta">${escapeHtml(comment.author)} · ${formatTime(comment.created)}${comment.edited ? ` · edited${comment.editedBy !== comment.author ? ` by ${escapeHtml(comment.editedBy)}` : ''}` : ''}
+            ${comment.author === session.user || isAdmin ? `<details><summary>Edit</summary>
+              <form method="post" action="${action}">
+                ${hidden('edit', thread, comment)}
+                <textarea name="body" maxlength="${COMMENT_MAX_LENGTH}" required>${escapeHtml(comment.body)}</textarea>
+                <button type="submit">Save</button>
+              </form>
+            </details>` : ''}
+            ${isAdmin ? `<form method="post" action="${action}" class="inline">
+              ${hidden('delete', thread, comment)}
+              <button type="submit">Delete</button>
+            </form>` : ''}
+          </div>
+          ${renderMarkdown(comment.body, { existingPages, pageKey: key })}
+        </div>`;
+
+  const threadsHtml = threads.map(thread => {
+    const canResolve = thread.author === session.user || canEdit(session, pageMeta);
+    return `
+      <div class="thread${thread.resolved ? ' resolved' : ''}" id="thread-${escapeHtml(thread.id)}">
+        ${thread.resolved ? `<div class="thread-state">Resolved by ${escapeHtml(thread.resolved.by)} · ${formatTime(thread.resolved.time)}</div>` : ''}
+        ${thread.comments.map(comment => renderComment(thread, comment)).join('')}
+        ${thread.resolved ? '' : `<form method="post" action="${action}">
+          ${hidden('reply', thread)}
+          <textarea name="body" placeholder="Reply" maxlength="${COMMENT_MAX_LENGTH}" required></textarea>
+          <button type="submit">Reply</button>
+        </form>`}
+        ${canResolve ? `<form method="post" action="${action}" class="inline">
+          ${hidden(thread.resolved ? 'reopen' : 'resolve', thread)}
+          <button type="submit">${thread.resolved ? 'Reopen' : 'Resolve'}</button>
+        </form>` : ''}
+        ${isAdmin ? `<form method="post" action="${action}" class="inline">
+          ${hidden('delete', thread)}
+          <button type="submit">Delete Thread</button>
+        </form>` : ''}
+      </div>`;
+  }).join('');
+
+  return `
+      <div class="comments" id="comments">
+        <h2>Discussion</h2>
+        ${threadsHtml || '<p>No comments yet.</p>'}
+        <form method="post" action="${action}">
+          ${csrfInput(csrf)}
+          <input type="hidden" name="op" value="new">
+          <textarea name="body" placeholder="Start a new thread" maxlength="${COMMENT_MAX_LENGTH}" required></textarea>
+          <button type="submit">Comment</button>
+        </form>
+      </div>`;
+}
+
+// KV rejects these writes, so the other stores do too and behave the same
+function checkStoreWrite(key, options) {
+  if (!key || new TextEncoder().encode(key).length > KV_KEY_LIMIT) {
+    throw new Error(`Keys must be 1 to ${KV_KEY_LIMIT} bytes: ${key}`);
+  }
+  if (options.metadata !== undefined && JSON.stringify(options.metadata).length > KV_METADATA_LIMIT) {
+    throw new Error(`Metadata over ${KV_METADATA_LIMIT} bytes for ${key}`);
+  }
+}
+
+// Seconds since the epoch, like KV's expiration, or null
+function storeExpiration(options) {
+  if (options.expiration) {
+    return Math.floor(options.expiration);
+  }
+  if (options.expirationTtl) {
+    return Math.floor(Date.now() / 1000) + Math.floor(options.expirationTtl);
+  }
+  return null;
+}
+
+// Strings stay strings; everything else is kept as bytes
+async function toStoredValue(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof ReadableStream) {
+    return new Uint8Array(await new Response(value).arrayBuffer());
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value.slice(0));
+  }
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  }
+  return String(value);
+}
+
+// options is a type name or {type}, as for KV: text (the default), json,
+// arrayBuffer or stream
+function fromStoredValue(stored, options) {
+  const type = (typeof options === 'string' ? options : options && options.type) || 'text';
+  if (type === 'text' || type === 'json') {
+    const text = typeof stored === 'string' ? stored : new TextDecoder().decode(stored);
+    return type === 'json' ? JSON.parse(text) : text;
+  }
+
+  const bytes = typeof stored === 'string' ? new TextEncoder().encode(stored) : stored.slice();
+  if (type === 'arrayBuffer') {
+    return bytes.buffer;
+  }
+  if (type === 'stream') {
+    return new Response(bytes).body;
+  }
+  throw new Error(`Unknown value type: ${type}`);
+}
+
+// Keeps everything in a Map for local runs and tests. Values, metadata and
+// expirations behave as in KV, but writes are visible immediately
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiration !== null && entry.expiration * 1000 <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key, options) {
+    const entry = this.entry(key);
+    return entry ? fromStoredValue(entry.value, options) : null;
+  }
+
+  async getWithMetadata(key, options) {
+    const entry = this.entry(key);
+    return entry
+      ? { value: fromStoredValue(entry.value, options), metadata: entry.metadata }
+      : { value: null, metadata: null };
+  }
+
+  async put(key, value, options = {}) {
+    checkStoreWrite(key, options);
+    this.entries.set(key, {
+      value: await toStoredValue(value),
+      // Copied the way KV serializes it, so later changes to the object don't leak in
+      metadata: options.metadata === undefined ? null : JSON.parse(JSON.stringify(options.metadata)),
+      expiration: storeExpiration(options)
     });
-  } catch (error) {
-    console.error('Error renaming page:', error);
-    return new Response('Rename failed', { status: 500 });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // The cursor is the last key returned
+  async list({ prefix = '', limit = 1000, cursor } = {}) {
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && (!cursor || name > cursor) && this.entry(name))
+      .sort();
+    const page = names.slice(0, limit);
+    const done = page.length === names.length;
+
+    return {
+      keys: page.map(name => {
+        const { metadata, expiration } = this.entries.get(name);
+        return { name, ...(metadata !== null ? { metadata } : {}), ...(expiration !== null ? { expiration } : {}) };
+      }),
+      list_complete: done,
+      ...(done ? {} : { cursor: page[page.length - 1] })
+    };
+  }
+}
+
+// Stores entries in one table of a D1 (SQLite) database. Rows hold at most
+// 2 MB, so attachments are written in D1_CHUNK_SIZE chunks. Expired rows are
+// skipped when read and cleared when an isolate first uses the table
+class D1Store {
+  constructor(db) {
+    this.db = db;
+    this.chunkSize = D1_CHUNK_SIZE;
+    this.ready = null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = this.db.batch([
+        this.db.prepare('CREATE TABLE IF NOT EXISTS entries (key TEXT PRIMARY KEY, value BLOB, metadata TEXT, expiration INTEGER)'),
+        this.db.prepare('DELETE FROM entries WHERE expiration <= ?').bind(Math.floor(Date.now() / 1000))
+      ]).catch(error => {
+        // Try again on the next call rather than failing for the isolate's lifetime
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async row(key) {
+    await this.init();
+    return await this.db
+      .prepare('SELECT value, metadata FROM entries WHERE key = ? AND (expiration IS NULL OR expiration > ?)')
+      .bind(key, Math.floor(Date.now() / 1000))
+      .first();
+  }
+
+  // D1 hands BLOBs back as arrays of bytes
+  static stored(value) {
+    return typeof value === 'string' ? value : new Uint8Array(value);
+  }
+
+  async get(key, options) {
+    const row = await this.row(key);
+    return row ? fromStoredValue(D1Store.stored(row.value), options) : null;
+  }
+
+  async getWithMetadata(key, options) {
+    const row = await this.row(key);
+    return row
+      ? { value: fromStoredValue(D1Store.stored(row.value), options), metadata: row.metadata === null ? null : JSON.parse(row.metadata) }
+      : { value: null, metadata: null };
+  }
+
+  async put(key, value, options = {}) {
+    checkStoreWrite(key, options);
+    const stored = await toStoredValue(value);
+    await this.init();
+    await this.db
+      .prepare('INSERT INTO entries (key, value, metadata, expiration) VALUES (?, ?, ?, ?) ' +
+        'ON CONFLICT (key) DO UPDATE SET value = excluded.value, metadata = excluded.metadata, expiration = excluded.expiration')
+      .bind(
+        key,
+        typeof stored === 'string' ? stored : stored.buffer,
+        options.metadata === undefined ? null : JSON.stringify(options.metadata),
+        storeExpiration(options)
+      )
+      .run();
+  }
+
+  async delete(key) {
+    await this.init();
+    await this.db.prepare('DELETE FROM entries WHERE key = ?').bind(key).run();
+  }
+
+  // SQLite compares TEXT bytewise, the same order KV lists keys in. The
+  // cursor is the last key returned
+  async list({ prefix = '', limit = 1000, cursor } = {}) {
+    await this.init();
+    const { results } = await this.db
+      .prepare('SELECT key, metadata, expiration FROM entries ' +
+        'WHERE key >= ? AND substr(key, 1, ?) = ? AND key > ? AND (expiration IS NULL OR expiration > ?) ' +
+        'ORDER BY key LIMIT ?')
+      .bind(prefix, [...prefix].length, prefix, cursor || '', Math.floor(Date.now() / 1000), limit + 1)
+      .all();
+    const page = results.slice(0, limit);
+    const done = results.length <= limit;
+
+    return {
+      keys: page.map(row => ({
+        name: row.key,
+        ...(row.metadata !== null ? { metadata: JSON.parse(row.metadata) } : {}),
+        ...(row.expiration !== null ? { expiration: row.expiration } : {})
+      })),
+      list_complete: done,
+      ...(done ? {} : { cursor: page[page.length - 1].key })
+    };
   }
 }
@@ -8,14 +8,55 @@
  * - File Upload: Store files with metadata (size, type, upload time)
  * - File Download: Retrieve files with proper content type
  * - File Listing: Get a list of all stored files with their metadata
+ * - Folder Listing: With a prefix and delimiter (e.g. prefix=docs/&delimiter=/),
+ *   files directly under the prefix and its subfolders ("commonPrefixes")
+ *   are returned separately, the way object stores do
  * - File Deletion: Remove files and their associated metadata
+ * - Folder Deletion: Remove every file in a folder with ?recursive=true
+ *   (DELETE /docs and /docs/ both cover docs/… only); without confirm=true
+ *   the matching files are only listed. Big folders are deleted a batch per
+ *   request: repeat it until the response says complete: true
  * - CORS Support: Cross-Origin Resource Sharing enabled
+ * - HTTP Caching: Downloads carry ETag and Last-Modified, HEAD returns the
+ *   headers alone, and If-None-Match / If-Modified-Since get 304 Not Modified
+ * - Partial Content: Range requests (including several ranges at once, sent
+ *   as multipart/byteranges) get 206 with Content-Range; If-Range is honoured
+ * - Resumable Uploads: Files too big for one KV value are uploaded in numbered
+ *   parts, in any order and with retries, through an upload session:
+ *     POST   /{filename}?uploads                          start a session
+ *     PUT    /{filename}?uploadId={id}&partNumber={n}     upload part n (from 1)
+ *     GET    /{filename}?uploadId={id}                    list the parts received
+ *     POST   /{filename}?uploadId={id}                    complete the upload
+ *     DELETE /{filename}?uploadId={id}                    abort it
+ *   Completing requires parts 1..n without gaps. The parts become the file's
+ *   chunks and downloads stream them back in order. Unfinished sessions
+ *   expire after UPLOAD_TTL
+ * 
+ * Storage (KV keys):
+ * - {filename} : content of files uploaded with a single PUT
+ * - {filename}:metadata : type, size, upload time and ETag; chunked files also
+ *   list their chunk sizes
+ * - {filename}:chunk:{uploadId}:{n} : chunks of files uploaded in parts
+ * - {filename}:upload:{uploadId} : an upload session
+ * - {filename}:upload:{uploadId}:part:{n} : parts received so far
  * 
  * Requirements:
  * - Cloudflare Workers
  * - KV Namespace named "FILES"
  */
 
+const MAX_RANGES = 20; // Range headers with more parts get the whole file
+const MAX_PART_SIZE = 25 * 1024 * 1024; // KV values are capped at 25 MiB
+// Completing an upload reads, copies and deletes every part, and deletes the
+// chunks of the file it replaces: up to 4 KV operations per part, plus the
+// session, the part listing and the metadata. A Worker may make 1000
+// subrequests per request, so 200 parts (at most about 810) leave headroom
+const MAX_PARTS = 200;
+const UPLOAD_TTL = 7 * 24 * 60 * 60; // Seconds an unfinished upload is kept
+// KV operations one recursive delete request may make, below the 1000
+// subrequests a Worker may make per request. A file takes 3 plus its chunks
+const DELETE_OPERATIONS = 800;
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -25,8 +66,8 @@ export default {
       return new Response(null, {
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Methods': 'GET, HEAD, PUT, POST, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Range, If-Range, If-None-Match, If-Modified-Since',
         },
       });
     }
@@ -37,13 +78,27 @@ export default {
           "Simple File API": {
             "Upload": "PUT /{filename}",
             "Download": "GET /{filename}",
+            "Download Part": "GET /{filename} with Range: bytes={start}-{end}",
+            "Info": "HEAD /{filename}",
             "List": "GET /list",
+            "List Folder": "GET /list?prefix={folder}/&delimiter=/",
             "Delete": "DELETE /{filename}",
+            "Delete Folder": "DELETE /{folder}/?recursive=true&confirm=true",
+            "Start Upload": "POST /{filename}?uploads",
+            "Upload Part": "PUT /{filename}?uploadId={id}&partNumber={n}",
+            "List Parts": "GET /{filename}?uploadId={id}",
+            "Complete Upload": "POST /{filename}?uploadId={id}",
+            "Abort Upload": "DELETE /{filename}?uploadId={id}",
             "Examples": {
               "Upload": "curl -T file.txt https://bash.zrhe2016.workers.dev/file.txt",
+              "Start Upload": "curl -X POST 'https://bash.zrhe2016.workers.dev/big.iso?uploads'",
+              "Upload Part": "curl -T part1 'https://bash.zrhe2016.workers.dev/big.iso?uploadId={id}&partNumber=1'",
               "Download": "curl https://bash.zrhe2016.workers.dev/file.txt",
+              "Resume Download": "curl -C - -o file.txt https://bash.zrhe2016.workers.dev/file.txt",
               "List": "curl https://bash.zrhe2016.workers.dev/list",
-              "Delete": "curl -X DELETE https://bash.zrhe2016.workers.dev/file.txt"
+              "List Folder": "curl 'https://bash.zrhe2016.workers.dev/list?prefix=docs/&delimiter=/'",
+              "Delete": "curl -X DELETE https://bash.zrhe2016.workers.dev/file.txt",
+              "Delete Folder": "curl -X DELETE 'https://bash.zrhe2016.workers.dev/docs/?recursive=true&confirm=true'"
             }
           }
         };
@@ -53,23 +108,37 @@ export default {
       }
 
       if (path === '/list') {
-        const list = await env.FILES.list();
-        const files = await Promise.all(
-          list.keys
-            .filter(key => !key.name.endsWith(':metadata'))
-            .map(async (key) => {
-              const metadata = await env.FILES.get(`${key.name}:metadata`, 'json');
-              return {
-                name: key.name,
-                size: metadata?.size || 0,
-                time: metadata?.uploadTime 
-                  ? new Date(metadata.uploadTime).toLocaleString()
-                  : new Date().toLocaleString(),
-                type: metadata?.contentType || 'application/octet-stream'
-              };
-            })
-        );
-        return new Response(JSON.stringify(files, null, 2), {
+        // Names are stored as they appear in request paths, so the prefix
+        // is encoded the same way before comparing
+        const prefix = storedName(url.searchParams.get('prefix') || '');
+        const delimiter = url.searchParams.get('delimiter');
+        const names = await listFileNames(env, prefix);
+
+        // Without a delimiter the listing stays the flat array sync.sh reads
+        if (!delimiter) {
+          const files = await Promise.all(names.map(name => describeFile(env, name)));
+          return new Response(JSON.stringify(files, null, 2), {
+            headers: { 'Content-Type': 'application/json' },
+          });
+        }
+
+        const fileNames = [];
+        const commonPrefixes = new Set();
+        for (const name of names) {
+          const end = name.indexOf(delimiter, prefix.length);
+          if (end === -1) {
+            fileNames.push(name);
+          } else {
+            commonPrefixes.add(name.slice(0, end + delimiter.length));
+          }
+        }
+
+        return new Response(JSON.stringify({
+          prefix,
+          delimiter,
+          files: await Promise.all(fileNames.map(name => describeFile(env, name))),
+          commonPrefixes: [...commonPrefixes]
+        }, null, 2), {
           headers: { 'Content-Type': 'application/json' },
         });
       }
@@ -79,6 +148,33 @@ export default {
         return new Response('File name is required', { status: 400 });
       }
 
+      if (request.method === 'POST' && url.searchParams.has('uploads')) {
+        const uploadId = crypto.randomUUID();
+        const session = {
+          contentType: request.headers.get('Content-Type') || 'application/octet-stream',
+          created: Date.now(),
+          expires: Date.now() + UPLOAD_TTL * 1000
+        };
+        await env.FILES.put(`${fileName}:upload:${uploadId}`, JSON.stringify(session), {
+          expirationTtl: UPLOAD_TTL
+        });
+
+        return new Response(JSON.stringify({
+          ok: true,
+          file: fileName,
+          uploadId,
+          expires: new Date(session.expires).toLocaleString()
+        }), {
+          status: 201,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const uploadId = url.searchParams.get('uploadId');
+      if (uploadId !== null) {
+        return await handleUpload(request, env, url, fileName, uploadId);
+      }
+
       if (request.method === 'PUT') {
         const contentType = request.headers.get('Content-Type') || 'application/octet-stream';
         const content = await request.arrayBuffer();
@@ -86,11 +182,16 @@ export default {
         const metadata = {
           contentType,
           size: content.byteLength,
-          uploadTime: Date.now()
+          uploadTime: Date.now(),
+          etag: await sha256Hex(content)
         };
 
+        const previous = await env.FILES.get(`${fileName}:metadata`, 'json');
         await env.FILES.put(fileName, content);
         await env.FILES.put(`${fileName}:metadata`, JSON.stringify(metadata));
+        if (previous?.chunks) {
+          await deleteChunks(env, fileName, previous);
+        }
 
         return new Response(JSON.stringify({
           ok: true,
@@ -99,26 +200,121 @@ export default {
           type: metadata.contentType,
           time: new Date(metadata.uploadTime).toLocaleString()
         }), {
-          headers: { 'Content-Type': 'application/json' }
+          headers: { 'Content-Type': 'application/json', 'ETag': fileETag(metadata) }
         });
       }
 
-      if (request.method === 'GET') {
-        const content = await env.FILES.get(fileName, 'arrayBuffer');
+      if (request.method === 'GET' || request.method === 'HEAD') {
         const metadata = await env.FILES.get(`${fileName}:metadata`, 'json');
-        
-        if (content === null || metadata === null) {
+        if (metadata === null) {
           return new Response('File not found', { status: 404 });
         }
-        
-        return new Response(content, {
-          headers: { 'Content-Type': metadata.contentType },
+
+        const etag = fileETag(metadata);
+        const headers = {
+          'Content-Type': metadata.contentType,
+          'ETag': etag,
+          'Last-Modified': new Date(metadata.uploadTime).toUTCString(),
+          'Accept-Ranges': 'bytes'
+        };
+
+        if (isNotModified(request, etag, metadata.uploadTime)) {
+          return new Response(null, { status: 304, headers });
+        }
+
+        // A Range is only honoured while If-Range still matches the file
+        const ranges = ifRangeMatches(request, etag, metadata.uploadTime)
+          ? parseRanges(request.headers.get('Range'), metadata.size)
+          : null;
+
+        if (ranges && ranges.length === 0) {
+          return new Response('Range not satisfiable', {
+            status: 416,
+            headers: { ...headers, 'Content-Type': 'text/plain', 'Content-Range': `bytes */${metadata.size}` }
+          });
+        }
+
+        // HEAD never needs the content, so it is answered from the metadata
+        const chunks = fileChunks(fileName, metadata);
+        const respond = async (segments, init) => {
+          if (request.method !== 'GET') {
+            return new Response(null, init);
+          }
+          const stream = await streamFile(env, chunks, segments);
+          return stream ? new Response(stream, init) : new Response('File not found', { status: 404 });
+        };
+
+        if (!ranges) {
+          return await respond([{ start: 0, end: metadata.size - 1 }], {
+            headers: { ...headers, 'Content-Length': String(metadata.size) },
+          });
+        }
+
+        if (ranges.length === 1) {
+          const [{ start, end }] = ranges;
+          return await respond(ranges, {
+            status: 206,
+            headers: {
+              ...headers,
+              'Content-Range': `bytes ${start}-${end}/${metadata.size}`,
+              'Content-Length': String(end - start + 1)
+            },
+          });
+        }
+
+        const boundary = crypto.randomUUID();
+        const parts = [];
+        let length = 0;
+        for (const range of ranges) {
+          const partHeader = `--${boundary}\r\nContent-Type: ${metadata.contentType}\r\n` +
+            `Content-Range: bytes ${range.start}-${range.end}/${metadata.size}\r\n\r\n`;
+          parts.push(partHeader, range, '\r\n');
+          length += new TextEncoder().encode(partHeader).length + (range.end - range.start + 1) + 2;
+        }
+        parts.push(`--${boundary}--\r\n`);
+        length += boundary.length + 6;
+
+        return await respond(parts, {
+          status: 206,
+          headers: {
+            ...headers,
+            'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+            'Content-Length': String(length)
+          },
+        });
+      }
+
+      if (request.method === 'DELETE' && url.searchParams.get('recursive') === 'true') {
+        // Only whole folders: /docs covers docs/… but not docs-old/… or docs.txt
+        const prefix = fileName.endsWith('/') ? fileName : `${fileName}/`;
+        const names = await listFileNames(env, prefix);
+
+        // Nothing is removed until the caller has seen what matches
+        if (url.searchParams.get('confirm') !== 'true') {
+          return new Response(JSON.stringify({
+            ok: false,
+            error: 'Add confirm=true to delete every file under this prefix',
+            prefix,
+            files: names
+          }, null, 2), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        const { deleted, complete } = await deleteFolder(env, prefix);
+        return new Response(JSON.stringify({
+          ok: true,
+          prefix,
+          deleted,
+          complete
+        }), {
+          headers: { 'Content-Type': 'application/json' }
         });
       }
 
       if (request.method === 'DELETE') {
-        await env.FILES.delete(fileName);
-        await env.FILES.delete(`${fileName}:metadata`);
+        await deleteFile(env, fileName);
         return new Response(JSON.stringify({ 
           ok: true, 
           deleted: fileName 
@@ -133,3 +329,385 @@ export default {
     }
   },
 };
+
+// Same encoding the URL parser applies to path segments, e.g. "my dir/" ->
+// "my%20dir/". Each segment is encoded as it is, so "?", "#" and ".." stay
+// part of the name; a leading "/" is dropped, as stored names have none
+function storedName(name) {
+  return name.replace(/^\/+/, '')
+    .split('/')
+    .map(segment => segment.replace(/[\x00-\x20"#<>?`{}\x7F]|[^\x00-\x7F]+/gu, match => encodeURIComponent(match.toWellFormed())))
+    .join('/');
+}
+
+// KV returns at most 1000 keys per call, so follow the cursor to the end
+async function listKeys(env, prefix) {
+  const keys = [];
+  let cursor;
+
+  do {
+    const list = await env.FILES.list({ prefix, cursor });
+    keys.push(...list.keys);
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+
+  return keys;
+}
+
+// Every file has a metadata key, while chunked files have no key of their own
+async function listFileNames(env, prefix) {
+  return (await listKeys(env, prefix))
+    .filter(key => key.name.endsWith(':metadata'))
+    .map(key => key.name.slice(0, -':metadata'.length));
+}
+
+async function describeFile(env, name) {
+  const metadata = await env.FILES.get(`${name}:metadata`, 'json');
+  return {
+    name,
+    size: metadata?.size || 0,
+    time: metadata?.uploadTime 
+      ? new Date(metadata.uploadTime).toLocaleString()
+      : new Date().toLocaleString(),
+    type: metadata?.contentType || 'application/octet-stream'
+  };
+}
+
+async function sha256Hex(content) {
+  const digest = await crypto.subtle.digest('SHA-256', content);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Files uploaded before ETags were stored get one from their size and time
+function fileETag(metadata) {
+  return `"${metadata.etag || `${metadata.size.toString(16)}-${metadata.uploadTime.toString(16)}`}"`;
+}
+
+// HTTP dates have whole seconds, so times are compared in seconds
+function httpSeconds(time) {
+  return Math.floor(time / 1000);
+}
+
+function isNotModified(request, etag, uploadTime) {
+  // If-None-Match wins over If-Modified-Since, and compares weakly
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  const since = Date.parse(request.headers.get('If-Modified-Since') || '');
+  return !isNaN(since) && httpSeconds(uploadTime) <= httpSeconds(since);
+}
+
+function ifRangeMatches(request, etag, uploadTime) {
+  const ifRange = request.headers.get('If-Range');
+  if (!ifRange) {
+    return true;
+  }
+  // Only strong validators count, so weak ETags never match
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange.trim() === etag;
+  }
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && httpSeconds(date) === httpSeconds(uploadTime);
+}
+
+// Returns null to serve the whole file (no Range, a malformed one or too
+// many parts), otherwise the satisfiable ranges, empty if there are none
+function parseRanges(header, size) {
+  const match = /^bytes=(.+)$/i.exec(header || '');
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',');
+  if (specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const spec of specs) {
+    const bounds = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+    if (!bounds || (bounds[1] === '' && bounds[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (bounds[1] === '') {
+      // "-n" asks for the last n bytes
+      const length = Number(bounds[2]);
+      if (length === 0) {
+        continue;
+      }
+      start = Math.max(0, size - length);
+      end = size - 1;
+    } else {
+      start = Number(bounds[1]);
+      end = bounds[2] === '' ? Infinity : Number(bounds[2]);
+      if (end < start) {
+        return null;
+      }
+      end = Math.min(end, size - 1);
+    }
+
+    if (start < size) {
+      ranges.push({ start, end });
+    }
+  }
+  return ranges;
+}
+
+// Where a file's bytes live: its own key, or the chunks of a completed upload
+function fileChunks(fileName, metadata) {
+  if (!metadata.chunks) {
+    return [{ key: fileName, size: metadata.size }];
+  }
+  return metadata.chunks.sizes.map((size, index) => ({
+    key: `${fileName}:chunk:${metadata.chunks.uploadId}:${index + 1}`,
+    size
+  }));
+}
+
+// Streams strings and { start, end } byte ranges of the file in order,
+// reading each chunk only when the response gets to it. The first chunk is
+// read up front, so content that has gone missing gives null (and a 404)
+// instead of a response that breaks off after its headers
+async function streamFile(env, chunks, segments) {
+  const encoder = new TextEncoder();
+  const firstRange = segments.find(segment => typeof segment !== 'string');
+  let end = 0;
+  const firstChunk = chunks.find(chunk => (end += chunk.size) > firstRange.start && chunk.size > 0);
+  let prefetched = null;
+  if (firstChunk && firstRange.start <= firstRange.end) {
+    prefetched = { key: firstChunk.key, content: await env.FILES.get(firstChunk.key, 'arrayBuffer') };
+    if (prefetched.content === null) {
+      return null;
+    }
+  }
+
+  async function* pieces() {
+    for (const segment of segments) {
+      if (typeof segment === 'string') {
+        yield encoder.encode(segment);
+        continue;
+      }
+
+      let offset = 0;
+      for (const chunk of chunks) {
+        const chunkStart = offset;
+        offset += chunk.size;
+        if (offset <= segment.start || chunkStart > segment.end) {
+          continue;
+        }
+
+        const content = prefetched?.key === chunk.key
+          ? prefetched.content
+          : await env.FILES.get(chunk.key, 'arrayBuffer');
+        prefetched = null;
+        if (content === null) {
+          throw new Error(`Missing chunk ${chunk.key}`);
+        }
+        yield new Uint8Array(content).subarray(
+          Math.max(0, segment.start - chunkStart),
+          Math.min(chunk.size, segment.end + 1 - chunkStart)
+        );
+      }
+    }
+  }
+
+  const iterator = pieces();
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    }
+  });
+}
+
+async function deleteChunks(env, fileName, metadata) {
+  for (const chunk of fileChunks(fileName, metadata)) {
+    await env.FILES.delete(chunk.key);
+  }
+}
+
+async function deleteFile(env, fileName, metadata) {
+  if (metadata === undefined) {
+    metadata = await env.FILES.get(`${fileName}:metadata`, 'json');
+  }
+  if (metadata?.chunks) {
+    await deleteChunks(env, fileName, metadata);
+  }
+  await env.FILES.delete(fileName);
+  await env.FILES.delete(`${fileName}:metadata`);
+}
+
+// Deletes the files under a prefix until the request's KV operations run
+// out. Deleted files drop out of the listing, so repeating the request picks
+// up where this one stopped, until it answers with complete: true
+async function deleteFolder(env, prefix) {
+  const deleted = [];
+  let operations = 0;
+  let cursor;
+
+  do {
+    const list = await env.FILES.list({ prefix, cursor });
+    operations++;
+    for (const key of list.keys) {
+      if (!key.name.endsWith(':metadata')) {
+        continue;
+      }
+      const metadata = await env.FILES.get(key.name, 'json');
+      operations++;
+      const cost = 2 + (metadata?.chunks ? metadata.chunks.sizes.length : 0);
+      if (operations + cost > DELETE_OPERATIONS) {
+        return { deleted, complete: false };
+      }
+
+      const name = key.name.slice(0, -':metadata'.length);
+      await deleteFile(env, name, metadata);
+      operations += cost;
+      deleted.push(name);
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor && operations < DELETE_OPERATIONS);
+
+  return { deleted, complete: !cursor };
+}
+
+// Numbered parts present in an upload, in order, with their size and ETag
+async function listParts(env, fileName, uploadId) {
+  const prefix = `${fileName}:upload:${uploadId}:part:`;
+  return (await listKeys(env, prefix))
+    .map(key => ({
+      partNumber: Number(key.name.slice(prefix.length)),
+      size: key.metadata?.size || 0,
+      etag: key.metadata?.etag || ''
+    }))
+    .sort((a, b) => a.partNumber - b.partNumber);
+}
+
+async function deleteUpload(env, fileName, uploadId, parts) {
+  for (const part of parts) {
+    await env.FILES.delete(`${fileName}:upload:${uploadId}:part:${part.partNumber}`);
+  }
+  await env.FILES.delete(`${fileName}:upload:${uploadId}`);
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+async function handleUpload(request, env, url, fileName, uploadId) {
+  // Ids end up in key names, so only the ones handed out are looked up
+  const session = /^[0-9a-f-]{36}$/.test(uploadId)
+    ? await env.FILES.get(`${fileName}:upload:${uploadId}`, 'json')
+    : null;
+  // KV refuses expirations less than 60 seconds away, so parts can't be
+  // stored in the session's last minute
+  if (session === null || session.expires - Date.now() < 60 * 1000) {
+    return jsonResponse({ ok: false, error: 'Upload not found or expired' }, 404);
+  }
+
+  if (request.method === 'PUT') {
+    const partNumber = Number(url.searchParams.get('partNumber'));
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PARTS) {
+      return jsonResponse({ ok: false, error: `partNumber must be between 1 and ${MAX_PARTS}` }, 400);
+    }
+
+    const content = await request.arrayBuffer();
+    if (content.byteLength > MAX_PART_SIZE) {
+      return jsonResponse({ ok: false, error: `Parts are limited to ${MAX_PART_SIZE} bytes` }, 413);
+    }
+
+    // Uploading a part again replaces it, so failed parts can simply be retried
+    const etag = await sha256Hex(content);
+    await env.FILES.put(`${fileName}:upload:${uploadId}:part:${partNumber}`, content, {
+      expiration: Math.floor(session.expires / 1000),
+      metadata: { size: content.byteLength, etag }
+    });
+    return jsonResponse({ ok: true, partNumber, size: content.byteLength, etag }, 200, { 'ETag': `"${etag}"` });
+  }
+
+  const parts = await listParts(env, fileName, uploadId);
+
+  if (request.method === 'GET') {
+    return jsonResponse({
+      ok: true,
+      file: fileName,
+      uploadId,
+      expires: new Date(session.expires).toLocaleString(),
+      parts
+    });
+  }
+
+  if (request.method === 'DELETE') {
+    await deleteUpload(env, fileName, uploadId, parts);
+    return jsonResponse({ ok: true, aborted: uploadId });
+  }
+
+  if (request.method === 'POST') {
+    const missing = [];
+    const last = parts.length === 0 ? 0 : parts[parts.length - 1].partNumber;
+    for (let n = 1, i = 0; n <= last; n++) {
+      if (parts[i]?.partNumber === n) {
+        i++;
+      } else {
+        missing.push(n);
+      }
+    }
+    if (parts.length === 0 || missing.length > 0) {
+      return jsonResponse({ ok: false, error: 'Parts are missing', missing: parts.length === 0 ? [1] : missing }, 400);
+    }
+
+    // Parts expire with the session, so they are copied to chunks that don't
+    for (const part of parts) {
+      const content = await env.FILES.get(`${fileName}:upload:${uploadId}:part:${part.partNumber}`, 'arrayBuffer');
+      if (content === null) {
+        return jsonResponse({ ok: false, error: 'Parts are missing', missing: [part.partNumber] }, 400);
+      }
+      await env.FILES.put(`${fileName}:chunk:${uploadId}:${part.partNumber}`, content);
+    }
+
+    // Like multipart ETags on object stores: a hash of the part hashes and the part count
+    const combined = await sha256Hex(new TextEncoder().encode(parts.map(part => part.etag).join('')));
+    const metadata = {
+      contentType: session.contentType,
+      size: parts.reduce((total, part) => total + part.size, 0),
+      uploadTime: Date.now(),
+      etag: `${combined}-${parts.length}`,
+      chunks: { uploadId, sizes: parts.map(part => part.size) }
+    };
+
+    // The old content is removed only once the new metadata points elsewhere
+    const previous = await env.FILES.get(`${fileName}:metadata`, 'json');
+    await env.FILES.put(`${fileName}:metadata`, JSON.stringify(metadata));
+    if (previous?.chunks) {
+      await deleteChunks(env, fileName, previous);
+    } else if (previous) {
+      await env.FILES.delete(fileName);
+    }
+    await deleteUpload(env, fileName, uploadId, parts);
+
+    return jsonResponse({
+      ok: true,
+      file: fileName,
+      size: metadata.size,
+      type: metadata.contentType,
+      parts: parts.length,
+      time: new Date(metadata.uploadTime).toLocaleString()
+    }, 200, { 'ETag': fileETag(metadata) });
+  }
+
+  return new Response('Invalid request', { status: 405 });
+}
@@ -0,0 +1,240 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker, { MemoryStore } from '../n1-page-manager.js';
+
+// Every test gets its own in-memory store, injected through env
+function setup() {
+  const store = new MemoryStore();
+  const env = { STORAGE: store };
+  const request = (path, init) => worker.fetch(new Request(`https://wiki.test${path}`, init), env);
+  return { store, env, request };
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// An account and an API token for it, written straight into the store
+async function apiToken(store, user = 'editor', role = 'editor') {
+  const token = `wk_test-${user}`;
+  await store.put(`~user:${user}`, JSON.stringify({ name: user, role }));
+  await store.put(`~token:${await sha256Hex(token)}`, '', { metadata: { name: 'test', user, builtin: false, created: Date.now() } });
+  return { 'Authorization': `Bearer ${token}` };
+}
+
+test('reports the service status', async () => {
+  const { request } = setup();
+  const response = await request('/');
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).status, 'success');
+});
+
+test('serves pages from the injected store', async () => {
+  const { store, request } = setup();
+  await store.put('notes', '# Notes\n\nSee [[missing page]].');
+
+  const response = await request('/notes');
+  assert.equal(response.status, 200);
+  const html = await response.text();
+  assert.match(html, /<h1[^>]*>Notes<\/h1>/);
+  assert.match(html, /missing page/);
+  assert.equal((await request('/nothing-here')).status, 404);
+});
+
+test('renders code spans inside link labels', async () => {
+  const { store, request } = setup();
+  await store.put('links', 'See [`x`](Page) and [**bold** `y`](https://example.com).');
+
+  const html = await (await request('/links')).text();
+  assert.match(html, /<a href="Page"><code>x<\/code><\/a>/);
+  assert.match(html, /<a href="https:\/\/example.com"><strong>bold<\/strong> <code>y<\/code><\/a>/);
+  assert.doesNotMatch(html, /undefined/);
+});
+
+test('keeps separate stores for separate envs', async () => {
+  const first = setup();
+  const second = setup();
+  await first.store.put('only-here', 'text');
+
+  assert.equal((await first.request('/only-here')).status, 200);
+  assert.equal((await second.request('/only-here')).status, 404);
+});
+
+test('runs on STORAGE=memory without any bindings', async () => {
+  const env = { STORAGE: 'memory' };
+  const response = await worker.fetch(new Request('https://wiki.test/robots.txt'), env);
+  assert.equal(response.status, 200);
+});
+
+test('locks out an IP after repeated failed logins', async () => {
+  const { request } = setup();
+  const login = () => {
+    const form = new FormData();
+    form.set('username', 'nobody');
+    form.set('password', 'wrong');
+    return request('/l', { method: 'POST', body: form, headers: { 'CF-Connecting-IP': '203.0.113.9' } });
+  };
+
+  for (let i = 0; i < 5; i++) {
+    assert.notEqual((await login()).status, 429);
+  }
+  const locked = await login();
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('Retry-After')) > 0);
+});
+
+test('MemoryStore lists by prefix with cursors and keeps metadata', async () => {
+  const store = new MemoryStore();
+  for (const key of ['a:1', 'a:2', 'a:3', 'b:1']) {
+    await store.put(key, key, { metadata: { key } });
+  }
+  await store.put('a:old', 'x', { expiration: Math.floor(Date.now() / 1000) + 60 });
+
+  const first = await store.list({ prefix: 'a:', limit: 2 });
+  assert.deepEqual(first.keys.map(key => key.name), ['a:1', 'a:2']);
+  assert.equal(first.list_complete, false);
+  const rest = await store.list({ prefix: 'a:', cursor: first.cursor });
+  assert.deepEqual(rest.keys.map(key => key.name), ['a:3', 'a:old']);
+  assert.deepEqual((await store.getWithMetadata('b:1')).metadata, { key: 'b:1' });
+});
+
+test('API writes need If-Match, or If-None-Match: * to create', async () => {
+  const { store, request } = setup();
+  const auth = await apiToken(store);
+  const put = (headers, content) => request('/api/pages/doc', {
+    method: 'PUT',
+    headers: { ...auth, 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ content })
+  });
+
+  assert.equal((await put({}, 'one')).status, 428);
+  assert.equal((await put({ 'If-None-Match': '"x"' }, 'one')).status, 428);
+  const created = await put({ 'If-None-Match': '*' }, 'one');
+  assert.equal(created.status, 201);
+  const etag = created.headers.get('ETag');
+
+  assert.equal((await put({ 'If-None-Match': '*' }, 'two')).status, 412);
+  assert.equal((await put({ 'If-None-Match': '"x"' }, 'two')).status, 428);
+  assert.equal((await request('/api/pages/doc', { method: 'DELETE', headers: { ...auth, 'If-None-Match': '"x"' } })).status, 428);
+  assert.equal((await put({ 'If-Match': '"stale"' }, 'two')).status, 412);
+  assert.equal((await put({ 'If-Match': etag }, 'two')).status, 200);
+  assert.equal(await store.get('doc'), 'two');
+});
+
+test('keeps the postings of pages saved at the same time', async () => {
+  const { store, request } = setup();
+  const auth = await apiToken(store);
+  const create = (page, content) => request(`/api/pages/${page}`, {
+    method: 'PUT',
+    headers: { ...auth, 'Content-Type': 'application/json', 'If-None-Match': '*' },
+    body: JSON.stringify({ content })
+  });
+
+  await Promise.all([create('alpha', 'shared words here'), create('beta', 'shared words there')]);
+  const html = await (await request('/s?q=shared')).text();
+  assert.match(html, /2 results/);
+  assert.match(html, /href="\/alpha"/);
+  assert.match(html, /href="\/beta"/);
+
+  const { keys } = await store.list({ prefix: '~idx:' });
+  assert.ok(keys.some(({ name }) => name.endsWith(':alpha')));
+  assert.ok(keys.some(({ name }) => name.endsWith(':beta')));
+});
+
+test('API writes discard the pending draft', async () => {
+  const { store, request } = setup();
+  const auth = await apiToken(store);
+  const created = await request('/api/pages/doc', {
+    method: 'PUT',
+    headers: { ...auth, 'Content-Type': 'application/json', 'If-None-Match': '*' },
+    body: JSON.stringify({ content: 'one' })
+  });
+  await store.put('~draft:doc', JSON.stringify({ content: 'stale', settings: {}, author: 'editor', updated: Date.now() }));
+
+  const patched = await request('/api/pages/doc', {
+    method: 'PATCH',
+    headers: { ...auth, 'Content-Type': 'application/json', 'If-Match': created.headers.get('ETag') },
+    body: JSON.stringify({ content: 'two' })
+  });
+  assert.equal(patched.status, 200);
+  assert.equal(await store.get('doc'), 'two');
+  assert.equal(await store.get('~draft:doc'), null);
+});
+
+test('keeps feed entries of pages saved at the same time, one per page', async () => {
+  const { store, request } = setup();
+  const auth = await apiToken(store);
+  const write = (page, content, headers) => request(`/api/pages/${page}`, {
+    method: 'PUT',
+    headers: { ...auth, 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ content })
+  });
+
+  const [alpha] = await Promise.all([write('alpha', 'one', { 'If-None-Match': '*' }), write('beta', 'one', { 'If-None-Match': '*' })]);
+  await write('alpha', 'two', { 'If-Match': alpha.headers.get('ETag') });
+
+  const feed = await (await request('/feed.atom')).text();
+  assert.equal(feed.match(/<entry>/g).length, 2);
+  assert.ok(feed.indexOf('/alpha') < feed.indexOf('/beta'));
+  assert.equal((await store.list({ prefix: '~feed:' })).keys.length, 2);
+});
+
+test('trashes a page as one key per item', async () => {
+  const { store, request } = setup();
+  const auth = await apiToken(store);
+  const created = await request('/api/pages/doc', {
+    method: 'PUT',
+    headers: { ...auth, 'Content-Type': 'application/json', 'If-None-Match': '*' },
+    body: JSON.stringify({ content: 'one' })
+  });
+  await store.put('~comment:doc:t1', JSON.stringify({ id: 't1', comments: [] }));
+
+  const deleted = await request('/api/pages/doc', { method: 'DELETE', headers: { ...auth, 'If-Match': created.headers.get('ETag') } });
+  assert.ok(deleted.ok);
+
+  const { keys } = await store.list({ prefix: '~trash:' });
+  const [entry] = keys.filter(({ name }) => name.split(':').length === 2);
+  assert.equal(entry.metadata.key, 'doc');
+  assert.equal(await store.get(entry.name), '');
+  assert.equal(await store.get(`${entry.name}:page`), 'one');
+  assert.ok(keys.some(({ name }) => name === `${entry.name}:comment:t1`));
+  assert.equal(await store.get('doc'), null);
+});
+
+test('answers 400 to page names that do not decode, and still lists them', async () => {
+  const { store, request } = setup();
+  const auth = await apiToken(store);
+  // Saved under the raw path segment, as keys were before names were normalized
+  await store.put('100%', 'legacy');
+
+  assert.equal((await request('/100%')).status, 400);
+  assert.equal((await request('/a%ZZ/b?action=edit')).status, 400);
+  assert.equal((await request('/api/pages/100%', { headers: auth })).status, 400);
+
+  const listing = await request('/api/pages', { headers: auth });
+  assert.equal(listing.status, 200);
+  assert.ok(JSON.stringify(await listing.json()).includes('"100%"'));
+});
+
+test('fills search results with pages the reader can see', async () => {
+  const { store, request } = setup();
+  const auth = await apiToken(store);
+  const create = (page, content, visibility) => request(`/api/pages/${page}`, {
+    method: 'PUT',
+    headers: { ...auth, 'Content-Type': 'application/json', 'If-None-Match': '*' },
+    body: JSON.stringify({ content, metadata: { visibility } })
+  });
+
+  // The private pages rank first, having the term more often
+  for (let i = 0; i < 60; i++) {
+    assert.equal((await create(`private-${i}`, 'needle needle needle', 'private')).status, 201);
+  }
+  await create('open', 'needle and more words around it', 'public');
+
+  const html = await (await request('/s?q=needle')).text();
+  assert.match(html, /1 result\b/);
+  assert.match(html, /href="\/open"/);
+  assert.doesNotMatch(html, /Rebuild Index/);
+  assert.ok((await store.list({ prefix: '~idx:term:needle:' })).keys.length === 61);
+});